@@ -0,0 +1,401 @@
+/**
+ * Lathe.js // ACTOR SCHEMA
+ * Actors are plain, serialisable JSON. Behaviour that used to be inline
+ * lambdas is picked by name from the built-in strategy tables below.
+ * * FORMAT:
+ * - id, url | atlas | atlasUrl, w, h, neckY, msWalk, msRun, anims, grid, tags
+ * - normalMap: url of a normal map laid out like the sheet (see LatheLighting.js)
+ * - placeholder: url of stand-in art shown when the sheet fails to load (see LatheLoader.js)
+ * - deduplicate: true or { tolerance, holds } (see LatheDedupe.js)
+ * - bobAmplitude, widthScalar, slideScale, trackDamp
+ * - walkSpeed, runSpeed: world px per tick along x while walking / running (0 = turns on the spot)
+ * - kineticThreshold, sprintThreshold: heading (degrees) past which the puppet walks / runs
+ * - profileCorrection: degrees taken off the drawn yaw while in profile
+ * - rMult { HEAD, BODY }, headSink { idle, profile }, shave { idle, profile }, noProfileHeadBob
+ *   (the classic two-part rig), or `segments` for any number of parts (see SEGMENTS)
+ * - profile: PROFILE_STRATEGIES key    (when the head turns to profile)
+ * - flip:    FLIP_STRATEGIES key       (when the sheet is mirrored)
+ * - animMode: 'directional' | 'pingpong'
+ * - animKey: 'fixed' | 'directional' or { strategy, ...params }
+ * - sockets: named mount points on the segments for attachments (see LatheAttachments.js)
+ * - machine: animation state machine (see LatheAnimator.js), defaultMachine(actor) when omitted
+ * * SEGMENTS:
+ * - Horizontal bands of the cell, drawn back to front in array order:
+ *   { name, rows: [top, bottom], radius, profile, taper, pivot, pitch, follow, lag,
+ *     frames, edgeSkip, sink, shave, bob, breathe }
+ * - profile: 'cylinder' | 'sphere' | 'cone' | 'taper'. Cones and tapers narrow to
+ *   `taper` × radius at their top row (cone defaults to 0, taper to 0.6).
+ * - follow: share of the heading yaw the segment turns by. Without `lag` it turns
+ *   rigidly with the head; with `lag` (0..1, fraction of the gap closed per tick)
+ *   it trails behind, so legs → hips → torso → head can twist progressively.
+ * - pivot: cell row the segment hangs from; pitch (× `pitch`) rotates about it and
+ *   sink / pitch sink move it. frames: 'head' or 'body' animation track.
+ * * VALIDATION:
+ * - validateActor(json) collects every problem as { path, message }.
+ * - compileActor(json) throws a LatheActorError listing all of them, or returns the runtime config.
+ */
+
+import { defaultMachine, validateMachine, compileMachine } from './LatheAnimator.js';
+import { validateSockets, compileSockets } from './LatheAttachments.js';
+
+// --- BUILT-IN STRATEGIES ---
+export const PROFILE_STRATEGIES = {
+  whenRunning: (isMoving, isRunning) => isRunning,
+  whenMoving: (isMoving, isRunning) => isMoving,
+  always: () => true,
+  never: () => false
+};
+
+export const FLIP_STRATEGIES = {
+  never: (rot) => false,
+  whenFacingLeft: (rot) => rot < 0,
+  whenFacingRight: (rot) => rot > 0
+};
+
+// Each factory takes the strategy params and returns getAnimKey(rot).
+export const ANIM_KEY_STRATEGIES = {
+  fixed: ({ anim = 'WALK' }) => (rot) => anim,
+  directional: ({ left = 'WALK_L', right = 'WALK_R' }) => (rot) => rot > 0 ? right : left
+};
+
+// Anim names a strategy will ask for, so they can be checked against `anims`.
+const animKeyRefs = ({ strategy, anim = 'WALK', left = 'WALK_L', right = 'WALK_R' }) =>
+  strategy === 'fixed' ? [anim] : [left, right];
+
+export const ANIM_MODES = ['directional', 'pingpong'];
+
+export const SEGMENT_PROFILES = ['cylinder', 'sphere', 'cone', 'taper'];
+// Lagging segment yaws live in the puppet's RAM block (PREG.P_SEG_ROT)
+export const MAX_SEGMENTS = 16;
+
+const SEGMENT_DEFAULTS = {
+  profile: 'cylinder',
+  pitch: 0,
+  follow: 1,
+  frames: 'body',
+  edgeSkip: 0,
+  sink: { idle: 0, profile: 0 },
+  shave: { idle: 0, profile: 0 },
+  bob: false,
+  breathe: false
+};
+
+const SEGMENT_FIELDS = [...Object.keys(SEGMENT_DEFAULTS), 'name', 'rows', 'radius', 'taper', 'pivot', 'lag'];
+const TAPER_DEFAULTS = { cone: 0, taper: 0.6 };
+
+// The original BODY + HEAD split at neckY, expressed as segments.
+const classicRig = (def) => [
+  { name: 'BODY', rows: [def.neckY], radius: def.rMult.BODY, follow: 0.95, lag: 0.22, breathe: true },
+  {
+    name: 'HEAD', rows: [0, def.neckY], radius: def.rMult.HEAD, profile: 'sphere',
+    pivot: def.neckY, pitch: 1, frames: 'head', edgeSkip: 1, sink: def.headSink, shave: def.shave, bob: true
+  }
+];
+
+export const ACTOR_DEFAULTS = {
+  deduplicate: false,
+  bobAmplitude: 0,
+  widthScalar: 1,
+  slideScale: 0.4,
+  trackDamp: 0.28,
+  walkSpeed: 0,
+  runSpeed: 0,
+  kineticThreshold: 22,
+  sprintThreshold: 42,
+  profileCorrection: 22,
+  headSink: { idle: 0, profile: 0 },
+  shave: { idle: 0, profile: 0 },
+  noProfileHeadBob: false,
+  profile: 'whenMoving',
+  flip: 'never',
+  animMode: 'directional',
+  animKey: 'fixed'
+};
+
+const KNOWN_FIELDS = [
+  'id', 'url', 'atlas', 'atlasUrl', 'normalMap', 'placeholder', 'tags', 'grid', 'w', 'h', 'neckY', 'msWalk', 'msRun', 'anims',
+  'deduplicate', 'bobAmplitude', 'widthScalar', 'slideScale', 'trackDamp', 'walkSpeed', 'runSpeed',
+  'kineticThreshold', 'sprintThreshold', 'profileCorrection',
+  'rMult', 'headSink', 'shave', 'noProfileHeadBob', 'segments', 'sockets', 'profile', 'flip', 'animMode', 'animKey', 'machine'
+];
+
+export class LatheActorError extends Error {
+  constructor(id, errors) {
+    super(`Lathe: invalid actor "${id}":\n` + errors.map((e) => `  - ${e.path}: ${e.message}`).join('\n'));
+    this.name = 'LatheActorError';
+    this.actorId = id;
+    this.errors = errors;
+  }
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const isInt = (v) => Number.isInteger(v);
+
+const normaliseAnimKey = (animKey) => typeof animKey === 'string' ? { strategy: animKey } : animKey;
+
+const validateSegments = (json, fail) => {
+  const segs = json.segments;
+  if (!Array.isArray(segs) || segs.length === 0) { fail('segments', 'must be a non-empty array'); return; }
+  if (segs.length > MAX_SEGMENTS) fail('segments', `at most ${MAX_SEGMENTS} segments`);
+  const names = new Set();
+  const h = isInt(json.h) ? json.h : Infinity;
+  segs.forEach((seg, i) => {
+    const at = `segments[${i}]`;
+    if (!isObject(seg)) { fail(at, 'must be an object'); return; }
+    for (const key in seg) if (!SEGMENT_FIELDS.includes(key)) fail(`${at}.${key}`, 'unknown field');
+    const s = { ...SEGMENT_DEFAULTS, ...seg };
+
+    if (typeof s.name !== 'string' || !s.name) fail(`${at}.name`, 'required non-empty string');
+    else if (names.has(s.name)) fail(`${at}.name`, `duplicate segment "${s.name}"`);
+    else names.add(s.name);
+
+    const rows = s.rows;
+    if (!Array.isArray(rows) || rows.length < 1 || rows.length > 2 || !rows.every((r) => isInt(r) && r >= 0)) {
+      fail(`${at}.rows`, 'must be [top] or [top, bottom] cell rows (integers >= 0)');
+    } else if ((rows.length === 2 && rows[1] <= rows[0]) || rows[0] >= h || (rows.length === 2 && rows[1] > h)) {
+      fail(`${at}.rows`, `must satisfy top < bottom <= h${h !== Infinity ? ` = ${h}` : ''}`);
+    }
+
+    if (!(isNum(s.radius) && s.radius > 0)) fail(`${at}.radius`, 'required positive number');
+    if (!SEGMENT_PROFILES.includes(s.profile)) fail(`${at}.profile`, `must be one of ${SEGMENT_PROFILES.join(', ')}`);
+    if (s.taper !== undefined) {
+      if (!(isNum(s.taper) && s.taper >= 0)) fail(`${at}.taper`, 'must be a non-negative number');
+      else if (!(s.profile in TAPER_DEFAULTS)) fail(`${at}.taper`, 'only applies to cone and taper profiles');
+    }
+    if (s.pivot !== undefined && !(isNum(s.pivot) && s.pivot >= 0 && s.pivot <= h)) fail(`${at}.pivot`, 'must be a cell row inside the frame');
+    for (const key of ['pitch', 'follow']) if (!isNum(s[key])) fail(`${at}.${key}`, 'must be a number');
+    if (s.lag !== undefined && !(isNum(s.lag) && s.lag > 0 && s.lag <= 1)) fail(`${at}.lag`, 'must be in (0, 1]');
+    if (!['head', 'body'].includes(s.frames)) fail(`${at}.frames`, 'must be "head" or "body"');
+    if (!(isInt(s.edgeSkip) && s.edgeSkip >= 0)) fail(`${at}.edgeSkip`, 'must be a non-negative integer');
+    for (const key of ['sink', 'shave']) {
+      if (!isObject(s[key])) { fail(`${at}.${key}`, 'must be an object { idle, profile }'); continue; }
+      for (const k of ['idle', 'profile']) {
+        const v = s[key][k];
+        if (key === 'shave' ? !(isInt(v) && v >= 0) : !isNum(v)) fail(`${at}.${key}.${k}`, key === 'shave' ? 'must be a non-negative integer' : 'must be a number');
+      }
+    }
+    for (const key of ['bob', 'breathe']) if (typeof s[key] !== 'boolean') fail(`${at}.${key}`, 'must be a boolean');
+  });
+};
+
+// Segments with defaults filled in, in the shape the renderer reads.
+const compileSegments = (def) => (def.segments || classicRig(def)).map((seg) => {
+  const s = { ...SEGMENT_DEFAULTS, ...seg, rows: seg.rows.slice() };
+  if (s.taper === undefined && s.profile in TAPER_DEFAULTS) s.taper = TAPER_DEFAULTS[s.profile];
+  return s;
+});
+
+/**
+ * Checks an actor definition without touching the sheet.
+ * Returns { valid, errors: [{ path, message }] }.
+ */
+export const validateActor = (json) => {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  if (!isObject(json)) {
+    fail('', 'actor must be an object');
+    return { valid: false, errors };
+  }
+  const def = { ...ACTOR_DEFAULTS, ...json };
+  const fromAtlas = json.atlas !== undefined || json.atlasUrl !== undefined;
+
+  for (const key in json) if (!KNOWN_FIELDS.includes(key)) fail(key, 'unknown field');
+
+  if (json.id !== undefined && (typeof json.id !== 'string' || !json.id)) fail('id', 'must be a non-empty string');
+
+  // SOURCE
+  if (json.url !== undefined && typeof json.url !== 'string') fail('url', 'must be a string');
+  if (json.atlasUrl !== undefined && typeof json.atlasUrl !== 'string') fail('atlasUrl', 'must be a string');
+  if (json.normalMap !== undefined && typeof json.normalMap !== 'string') fail('normalMap', 'must be a string');
+  if (json.placeholder !== undefined && typeof json.placeholder !== 'string') fail('placeholder', 'must be a string');
+  if (json.atlas !== undefined && !(isObject(json.atlas) && json.atlas.frames)) fail('atlas', 'must be an atlas object with "frames"');
+  if (json.url === undefined && !fromAtlas) fail('url', 'required (or provide atlas / atlasUrl)');
+  if (json.url === undefined && isObject(json.atlas) && !json.atlasUrl && !(json.atlas.meta && json.atlas.meta.image)) {
+    fail('url', 'required when the atlas has no meta.image');
+  }
+  if (json.tags !== undefined) {
+    if (!fromAtlas) fail('tags', 'only applies to atlas actors');
+    else if (!isObject(json.tags)) fail('tags', 'must map anim keys to atlas tag names');
+    else for (const key in json.tags) if (typeof json.tags[key] !== 'string') fail(`tags.${key}`, 'must be a tag name');
+  }
+  if (json.grid !== undefined) {
+    if (!isObject(json.grid)) fail('grid', 'must be an object');
+    else {
+      for (const key of ['columns', 'rows']) {
+        if (json.grid[key] !== undefined && !(isInt(json.grid[key]) && json.grid[key] > 0)) fail(`grid.${key}`, 'must be a positive integer');
+      }
+      for (const key of ['margin', 'spacing']) {
+        if (json.grid[key] !== undefined && !(isInt(json.grid[key]) && json.grid[key] >= 0)) fail(`grid.${key}`, 'must be a non-negative integer');
+      }
+    }
+  }
+
+  // GEOMETRY
+  for (const key of ['w', 'h']) {
+    if (json[key] === undefined) { if (!fromAtlas) fail(key, 'required'); }
+    else if (!(isInt(json[key]) && json[key] > 0)) fail(key, 'must be a positive integer');
+  }
+  if (!isNum(json.neckY)) fail('neckY', 'required number');
+  else if (json.neckY <= 0 || (isInt(json.h) && json.neckY >= json.h)) fail('neckY', `must lie inside the frame (0 < neckY < h${isInt(json.h) ? ` = ${json.h}` : ''})`);
+
+  // TIMING
+  for (const key of ['msWalk', 'msRun']) {
+    if (!(isNum(json[key]) && json[key] > 0)) fail(key, 'required positive number (ms per frame)');
+  }
+
+  // ANIMS
+  if (json.anims === undefined) {
+    if (!fromAtlas) fail('anims', 'required');
+  } else if (!isObject(json.anims)) {
+    fail('anims', 'must map anim keys to frame lists');
+  } else {
+    for (const key in json.anims) {
+      const seq = json.anims[key];
+      if (!Array.isArray(seq) || seq.length === 0) { fail(`anims.${key}`, 'must be a non-empty array'); continue; }
+      seq.forEach((ref, i) => {
+        if (typeof ref === 'string') { if (!fromAtlas) fail(`anims.${key}[${i}]`, 'frame names need an atlas'); }
+        else if (!(isInt(ref) && ref >= 0)) fail(`anims.${key}[${i}]`, 'must be a frame index (integer >= 0) or atlas frame name');
+      });
+    }
+    if (!fromAtlas && !json.anims.IDLE) fail('anims.IDLE', 'required');
+  }
+  if (json.grid && isObject(json.anims)) {
+    const { columns, rows } = json.grid;
+    if (isInt(columns) && isInt(rows)) {
+      for (const key in json.anims) {
+        if (!Array.isArray(json.anims[key])) continue;
+        json.anims[key].forEach((ref, i) => {
+          if (isInt(ref) && ref >= columns * rows) fail(`anims.${key}[${i}]`, `frame ${ref} is outside the ${columns}x${rows} grid`);
+        });
+      }
+    }
+  }
+
+  // PHYSICS SCALARS
+  for (const key of ['bobAmplitude', 'slideScale']) if (!isNum(def[key])) fail(key, 'must be a number');
+  if (!(isNum(def.widthScalar) && def.widthScalar > 0)) fail('widthScalar', 'must be a positive number');
+  if (!(isNum(def.trackDamp) && def.trackDamp > 0 && def.trackDamp <= 1)) fail('trackDamp', 'must be in (0, 1]');
+  for (const key of ['walkSpeed', 'runSpeed']) if (!(isNum(def[key]) && def[key] >= 0)) fail(key, 'must be a non-negative number');
+
+  // GAIT
+  for (const key of ['kineticThreshold', 'sprintThreshold', 'profileCorrection']) {
+    if (!(isNum(def[key]) && def[key] >= 0)) fail(key, 'must be a non-negative number (degrees)');
+  }
+  if (isNum(def.kineticThreshold) && isNum(def.sprintThreshold) && def.sprintThreshold < def.kineticThreshold) {
+    fail('sprintThreshold', `must be at least kineticThreshold (${def.kineticThreshold})`);
+  }
+  if (json.segments === undefined) {
+    if (!isObject(json.rMult)) fail('rMult', 'required object { HEAD, BODY } (or declare segments)');
+    else for (const key of ['HEAD', 'BODY']) if (!(isNum(json.rMult[key]) && json.rMult[key] > 0)) fail(`rMult.${key}`, 'must be a positive number');
+  } else {
+    validateSegments(json, fail);
+  }
+  if (json.sockets !== undefined) {
+    const segmentNames = Array.isArray(json.segments) ? json.segments.map((seg) => seg && seg.name) : ['BODY', 'HEAD'];
+    validateSockets(json.sockets, segmentNames, fail);
+  }
+
+  // HEAD OFFSET & TRIM
+  if (!isObject(def.headSink)) fail('headSink', 'must be an object { idle, profile }');
+  else for (const key of ['idle', 'profile']) if (!isNum(def.headSink[key])) fail(`headSink.${key}`, 'must be a number');
+  if (!isObject(def.shave)) fail('shave', 'must be an object { idle, profile }');
+  else {
+    for (const key of ['idle', 'profile']) {
+      const v = def.shave[key];
+      if (!(isInt(v) && v >= 0)) fail(`shave.${key}`, 'must be a non-negative integer');
+      else if (isNum(json.neckY) && v >= json.neckY) fail(`shave.${key}`, `must be less than neckY (${json.neckY})`);
+    }
+  }
+  if (typeof def.noProfileHeadBob !== 'boolean') fail('noProfileHeadBob', 'must be a boolean');
+  if (isObject(def.deduplicate)) {
+    const { tolerance, holds } = def.deduplicate;
+    if (tolerance !== undefined && !(isInt(tolerance) && tolerance >= 0 && tolerance <= 255)) fail('deduplicate.tolerance', 'must be an integer in 0..255');
+    if (holds !== undefined && typeof holds !== 'boolean') fail('deduplicate.holds', 'must be a boolean');
+  } else if (typeof def.deduplicate !== 'boolean') fail('deduplicate', 'must be a boolean or { tolerance, holds }');
+
+  // LOGIC REFERENCES
+  if (typeof def.profile !== 'function' && !(def.profile in PROFILE_STRATEGIES)) {
+    fail('profile', `unknown strategy "${def.profile}" (expected ${Object.keys(PROFILE_STRATEGIES).join(', ')})`);
+  }
+  if (typeof def.flip !== 'function' && !(def.flip in FLIP_STRATEGIES)) {
+    fail('flip', `unknown strategy "${def.flip}" (expected ${Object.keys(FLIP_STRATEGIES).join(', ')})`);
+  }
+
+  // ANIMATION LOOKUP
+  if (!ANIM_MODES.includes(def.animMode)) fail('animMode', `must be one of ${ANIM_MODES.join(', ')}`);
+  if (typeof def.animKey !== 'function') {
+    const animKey = normaliseAnimKey(def.animKey);
+    if (!isObject(animKey) || !(animKey.strategy in ANIM_KEY_STRATEGIES)) {
+      fail('animKey', `unknown strategy (expected ${Object.keys(ANIM_KEY_STRATEGIES).join(', ')})`);
+    } else if (isObject(json.anims) && !fromAtlas) {
+      for (const ref of animKeyRefs(animKey)) if (!json.anims[ref]) fail('animKey', `refers to missing anim "${ref}"`);
+    }
+  }
+
+  // ANIMATION STATES
+  if (json.machine !== undefined) validateMachine(json.machine, fail);
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Validates and turns a JSON actor into the runtime config the renderer uses
+ * (defaults applied, strategy names resolved to getProfileCondition / shouldFlip / getAnimKey).
+ * Strategy fields may also be functions for actors defined in code.
+ */
+export const compileActor = (json, id = json && json.id) => {
+  const { valid, errors } = validateActor(json);
+  if (!valid) throw new LatheActorError(id, errors);
+
+  const def = { ...ACTOR_DEFAULTS, ...json, id };
+  const animKey = normaliseAnimKey(def.animKey);
+  const segments = compileSegments(def);
+  return {
+    ...def,
+    anims: def.anims ? { ...def.anims } : {},
+    segments,
+    sockets: compileSockets(def.sockets, segments, def.neckY),
+    getProfileCondition: typeof def.profile === 'function' ? def.profile : PROFILE_STRATEGIES[def.profile],
+    shouldFlip: typeof def.flip === 'function' ? def.flip : FLIP_STRATEGIES[def.flip],
+    getAnimKey: typeof animKey === 'function' ? animKey : ANIM_KEY_STRATEGIES[animKey.strategy](animKey),
+    machine: compileMachine(def.machine || defaultMachine(def), def)
+  };
+};
+
+/**
+ * Load-time checks that need the resolved frame table: every anim frame exists
+ * and fits in the bitmap, IDLE is present, the anim-key strategy's anims exist
+ * and every animation state's clip can find an anim.
+ */
+export const validateSheet = (config, sheet) => {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const { frames, anims, bitmap } = sheet;
+
+  for (const key in anims) {
+    anims[key].forEach((idx, i) => {
+      const frame = frames[idx];
+      if (!frame) fail(`anims.${key}[${i}]`, `frame ${idx} does not exist (sheet has ${frames.length})`);
+      else if (frame.x + frame.w > bitmap.width || frame.y + frame.h > bitmap.height) {
+        fail(`anims.${key}[${i}]`, `frame ${idx} lies outside the ${bitmap.width}x${bitmap.height} image`);
+      }
+    });
+  }
+  if (!anims.IDLE || !anims.IDLE.length) fail('anims.IDLE', 'required');
+  const animKey = normaliseAnimKey(config.animKey);
+  if (isObject(animKey)) for (const ref of animKeyRefs(animKey)) if (!anims[ref]) fail('animKey', `refers to missing anim "${ref}"`);
+  if (config.neckY >= config.h) fail('neckY', `must lie inside the frame (0 < neckY < h = ${config.h})`);
+  for (const state of config.machine.states) {
+    if (!state.clip.anim.includes(null) && !state.clip.anim.some((key) => anims[key])) {
+      fail(`machine.states.${state.name}.clip.anim`, `none of ${state.clip.anim.join(', ')} is in the sheet`);
+    }
+  }
+  config.segments.forEach((seg, i) => {
+    const bottom = seg.rows[1] !== undefined ? seg.rows[1] : config.h;
+    if (seg.rows[0] >= bottom || bottom > config.h) fail(`segments[${i}].rows`, `must satisfy top < bottom <= h = ${config.h}`);
+  });
+
+  if (errors.length) throw new LatheActorError(config.id, errors);
+};
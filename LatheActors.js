@@ -0,0 +1,72 @@
+/**
+ * Lathe.js // ACTORS
+ * Built-in puppet definitions used by the demo. Pass these (or your own table
+ * with the same shape) to createLathe({ actors }). Entries are plain JSON, see
+ * LatheActorSchema for the format and the named strategies.
+ */
+
+// --- CONFIGURATION & LOGIC LAYER ---
+export const ACTORS = {
+  dude: { 
+    url: 'https://raw.githubusercontent.com/photonstorm/phaser3-examples/master/public/assets/sprites/dude.png',
+    w: 32, h: 48, neckY: 34, 
+    msWalk: 600, msRun: 300, 
+    anims: { WALK_L: [0,1,2,3], WALK_R: [5,6,7,8], IDLE: [4] },
+    deduplicate: false, // Dude is already optimized
+    // 1. PHYSICS SCALARS
+    bobAmplitude: -5.0,
+    widthScalar: 1.0,
+    slideScale: 0.4,
+    trackDamp: 0.22,
+    walkSpeed: 1.2,
+    runSpeed: 2.6,
+    rMult: { HEAD: 0.38, BODY: 0.38 },
+    // 2. HEAD OFFSET & TRIM
+    headSink: { idle: 5.0, profile: 5.0 }, 
+    shave: { idle: 0, profile: 1 }, 
+    noProfileHeadBob: true, 
+    // 3. LOGIC REFERENCES
+    profile: 'whenRunning',
+    flip: 'never',
+    // 4. ANIMATION LOOKUP
+    animMode: 'directional', 
+    animKey: { strategy: 'directional', left: 'WALK_L', right: 'WALK_R' },
+    // 5. ATTACHMENT SOCKETS
+    sockets: {
+      'head-top': { segment: 'HEAD', fromNeck: -22 },
+      hand: { segment: 'BODY', fromNeck: 8, angle: 80, out: 2 },
+      back: { segment: 'BODY', fromNeck: 3, angle: 180 }
+    }
+  },
+  mummy: {
+    url: 'https://raw.githubusercontent.com/photonstorm/phaser3-examples/master/public/assets/sprites/metalslug_mummy37x45.png',
+    w: 37, h: 45, neckY: 26, 
+    msWalk: 250, msRun: 120, 
+    anims: { WALK: [0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17], IDLE: [0] },
+    deduplicate: true, // * ENABLED: Folds repeated frames; pauses become holds on the kept frame
+    // 1. PHYSICS SCALARS
+    bobAmplitude: 0.0,
+    widthScalar: 0.88,
+    slideScale: 0.8,
+    trackDamp: 0.28,
+    walkSpeed: 0.9,
+    runSpeed: 2.0,
+    rMult: { HEAD: 0.42, BODY: 0.40 },
+    // 2. HEAD OFFSET & TRIM
+    headSink: { idle: 5.0, profile: 4.0 },
+    shave: { idle: 0, profile: 0 },
+    noProfileHeadBob: false,
+    // 3. LOGIC REFERENCES
+    profile: 'whenMoving',
+    flip: 'whenFacingLeft',
+    // 4. ANIMATION LOOKUP
+    animMode: 'pingpong', 
+    animKey: { strategy: 'fixed', anim: 'WALK' },
+    // 5. ATTACHMENT SOCKETS
+    sockets: {
+      'head-top': { segment: 'HEAD', fromNeck: -20 },
+      hand: { segment: 'BODY', fromNeck: 7, angle: 85, out: 2 },
+      back: { segment: 'BODY', fromNeck: 3, angle: 180 }
+    }
+  }
+};
@@ -0,0 +1,270 @@
+/**
+ * Lathe.js // ANIMATOR
+ * Animation state machine. Each puppet sits in one named state whose clip picks
+ * the frame; transitions fire from parameters the engine computes every tick
+ * (plus any the game declares), and clips raise frame events such as footsteps.
+ * * FORMAT (actor `machine`, defaultMachine(actor) when omitted):
+ * - { initial, params: { name: default }, states: { name: state }, any: [transition] }
+ * - state: { clip, hold, to: [transition] }      hold = ms before any transition may fire
+ * - clip: { anim, loop, ms, events }
+ *   anim: anim key or list of candidates, first one the sheet has wins; null is the
+ *         actor's animKey strategy (direction-dependent, e.g. WALK_L / WALK_R)
+ *   loop: true | false (one-shot, holds its last frame) | 'pingpong' | 'actor' (the actor's animMode)
+ *   ms:   per frame: number, array (per clip frame), 'walk' / 'run' (msWalk / msRun),
+ *         or omitted for the atlas frame durations (msWalk where a frame has none)
+ *   events: [{ frame, name }] or [{ at: 0..1, name }], raised when the clip reaches that frame
+ * - transition: { to, when: [[param, op, value], ...], atEnd, fade }
+ *   every condition must hold; atEnd waits for a one-shot to finish (or a loop to
+ *   complete a cycle); fade crossfades from the old state over `fade` ms.
+ * * PARAMS:
+ * - Built in: speed (|heading yaw|), yaw, turning (|target yaw - heading yaw|, what is left
+ *   of the current turn), airborne, rising (0/1).
+ * - Declared params are stored per puppet and set with puppet.setParam(name, value).
+ */
+
+export const MAX_PARAMS = 8;
+export const BUILTIN_PARAMS = ['speed', 'yaw', 'turning', 'airborne', 'rising'];
+export const CONDITION_OPS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const footsteps = [{ at: 0, name: 'footstep' }, { at: 0.5, name: 'footstep' }];
+
+// The stock machine for an actor's gait thresholds (actor kineticThreshold / sprintThreshold):
+// past `walk` degrees of heading the puppet walks, past `run` it runs.
+export const defaultMachine = ({ kineticThreshold: walk = 22, sprintThreshold: run = 42 } = {}) => {
+  const gait = [
+    { to: 'run', when: [['speed', '>', run]] },
+    { to: 'walk', when: [['speed', '>', walk], ['speed', '<=', run]] }
+  ];
+
+  return {
+    initial: 'idle',
+    states: {
+      idle: {
+        clip: { anim: 'IDLE', loop: true, ms: 'walk' },
+        to: [{ to: 'turn', when: [['turning', '>', 70]] }, ...gait]
+      },
+      walk: {
+        clip: { anim: null, loop: 'actor', ms: 'walk', events: footsteps },
+        to: [{ to: 'turn', when: [['turning', '>', 70]] }, { to: 'run', when: [['speed', '>', run]] }, { to: 'idle', when: [['speed', '<=', walk]] }]
+      },
+      run: {
+        clip: { anim: null, loop: 'actor', ms: 'run', events: footsteps },
+        to: [{ to: 'turn', when: [['turning', '>', 70]] }, { to: 'walk', when: [['speed', '<=', run]] }]
+      },
+      'jump-rise': {
+        clip: { anim: ['JUMP_RISE', null], loop: 'actor', ms: 'walk' },
+        to: [{ to: 'jump-fall', when: [['rising', '==', 0]] }]
+      },
+      'jump-fall': {
+        clip: { anim: ['JUMP_FALL', null], loop: 'actor', ms: 'walk' },
+        to: [{ to: 'land', when: [['airborne', '==', 0]] }]
+      },
+      land: {
+        clip: { anim: ['LAND', 'IDLE'], loop: false, ms: 80, events: [{ frame: 0, name: 'land' }] },
+        hold: 80,
+        to: [...gait, { to: 'idle', atEnd: true }]
+      },
+      // Ends with its clip, or as soon as the heading has come round
+      turn: {
+        clip: { anim: ['TURN', null], loop: false, ms: 'walk' },
+        to: [
+          { to: 'idle', when: [['turning', '<=', 10], ['speed', '<=', walk]] },
+          ...gait.map((t) => ({ ...t, when: [...t.when, ['turning', '<=', 10]] })),
+          { to: 'idle', atEnd: true, when: [['speed', '<=', walk]] },
+          { to: 'walk', atEnd: true }
+        ]
+      }
+    },
+    any: [
+      { to: 'jump-rise', when: [['airborne', '==', 1], ['rising', '==', 1]] },
+      { to: 'jump-fall', when: [['airborne', '==', 1], ['rising', '==', 0]] }
+    ]
+  };
+};
+
+export const DEFAULT_MACHINE = defaultMachine();
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const asList = (anim) => Array.isArray(anim) ? anim : [anim];
+
+/**
+ * Reports machine problems through `fail(path, message)` (the schema's collector).
+ * Anim names are checked against the sheet at load time, not here.
+ */
+export const validateMachine = (m, fail, at = 'machine') => {
+  if (!isObject(m)) { fail(at, 'must be an object { initial, states, any, params }'); return; }
+  for (const key in m) if (!['initial', 'states', 'any', 'params'].includes(key)) fail(`${at}.${key}`, 'unknown field');
+  if (!isObject(m.states) || !Object.keys(m.states).length) { fail(`${at}.states`, 'must name at least one state'); return; }
+  const names = Object.keys(m.states);
+  if (!names.includes(m.initial)) fail(`${at}.initial`, `must be one of the states (${names.join(', ')})`);
+
+  const params = m.params === undefined ? {} : m.params;
+  if (!isObject(params)) fail(`${at}.params`, 'must map param names to default numbers');
+  else {
+    if (Object.keys(params).length > MAX_PARAMS) fail(`${at}.params`, `at most ${MAX_PARAMS} params`);
+    for (const key in params) {
+      if (BUILTIN_PARAMS.includes(key)) fail(`${at}.params.${key}`, 'shadows a built-in param');
+      if (!isNum(params[key])) fail(`${at}.params.${key}`, 'default must be a number');
+    }
+  }
+  const known = [...new Set([...BUILTIN_PARAMS, ...(isObject(params) ? Object.keys(params) : [])])];
+
+  const checkTransition = (t, path) => {
+    if (!isObject(t)) { fail(path, 'must be an object { to, when, atEnd, fade }'); return; }
+    for (const key in t) if (!['to', 'when', 'atEnd', 'fade'].includes(key)) fail(`${path}.${key}`, 'unknown field');
+    if (!names.includes(t.to)) fail(`${path}.to`, `unknown state "${t.to}"`);
+    if (t.when !== undefined) {
+      if (!Array.isArray(t.when)) fail(`${path}.when`, 'must be a list of [param, op, value]');
+      else t.when.forEach((c, i) => {
+        if (!Array.isArray(c) || c.length !== 3) { fail(`${path}.when[${i}]`, 'must be [param, op, value]'); return; }
+        if (!known.includes(c[0])) fail(`${path}.when[${i}]`, `unknown param "${c[0]}" (known: ${known.join(', ')})`);
+        if (!(c[1] in CONDITION_OPS)) fail(`${path}.when[${i}]`, `unknown op "${c[1]}" (expected ${Object.keys(CONDITION_OPS).join(' ')})`);
+        if (!isNum(c[2])) fail(`${path}.when[${i}]`, 'value must be a number');
+      });
+    }
+    if (t.when === undefined && !t.atEnd) fail(path, 'needs `when` conditions or `atEnd`');
+    if (t.atEnd !== undefined && typeof t.atEnd !== 'boolean') fail(`${path}.atEnd`, 'must be a boolean');
+    if (t.fade !== undefined && !(isNum(t.fade) && t.fade >= 0)) fail(`${path}.fade`, 'must be a non-negative number (ms)');
+  };
+
+  for (const name of names) {
+    const s = m.states[name], path = `${at}.states.${name}`;
+    if (!isObject(s)) { fail(path, 'must be an object { clip, hold, to }'); continue; }
+    for (const key in s) if (!['clip', 'hold', 'to'].includes(key)) fail(`${path}.${key}`, 'unknown field');
+    const c = s.clip;
+    if (!isObject(c)) fail(`${path}.clip`, 'required object { anim, loop, ms, events }');
+    else {
+      for (const key in c) if (!['anim', 'loop', 'ms', 'events'].includes(key)) fail(`${path}.clip.${key}`, 'unknown field');
+      if (c.anim !== undefined && !asList(c.anim).every((a) => a === null || (typeof a === 'string' && a))) fail(`${path}.clip.anim`, 'must be an anim key, null, or a list of them');
+      if (c.loop !== undefined && ![true, false, 'pingpong', 'actor'].includes(c.loop)) fail(`${path}.clip.loop`, "must be true, false, 'pingpong' or 'actor'");
+      const okMs = c.ms === undefined || c.ms === 'walk' || c.ms === 'run' || (isNum(c.ms) && c.ms > 0)
+        || (Array.isArray(c.ms) && c.ms.length > 0 && c.ms.every((v) => isNum(v) && v > 0));
+      if (!okMs) fail(`${path}.clip.ms`, "must be a positive number, a list of them, 'walk' or 'run'");
+      if (c.events !== undefined) {
+        if (!Array.isArray(c.events)) fail(`${path}.clip.events`, 'must be a list of { frame | at, name }');
+        else c.events.forEach((e, i) => {
+          const ep = `${path}.clip.events[${i}]`;
+          if (!isObject(e) || typeof e.name !== 'string' || !e.name) { fail(ep, 'needs a name'); return; }
+          if (e.frame !== undefined ? !(Number.isInteger(e.frame) && e.frame >= 0) : !(isNum(e.at) && e.at >= 0 && e.at < 1)) {
+            fail(ep, 'needs `frame` (integer >= 0) or `at` (0 <= at < 1)');
+          }
+        });
+      }
+    }
+    if (s.hold !== undefined && !(isNum(s.hold) && s.hold >= 0)) fail(`${path}.hold`, 'must be a non-negative number (ms)');
+    if (s.to !== undefined && !Array.isArray(s.to)) fail(`${path}.to`, 'must be a list of transitions');
+    else (s.to || []).forEach((t, i) => checkTransition(t, `${path}.to[${i}]`));
+  }
+  if (m.any !== undefined && !Array.isArray(m.any)) fail(`${at}.any`, 'must be a list of transitions');
+  else (m.any || []).forEach((t, i) => checkTransition(t, `${at}.any[${i}]`));
+};
+
+/**
+ * Turns a validated machine into index-addressed runtime form for `config`
+ * ('walk' / 'run' / 'actor' resolved against the actor's timings and animMode).
+ */
+export const compileMachine = (m, config) => {
+  const names = Object.keys(m.states);
+  const index = {};
+  names.forEach((name, i) => { index[name] = i; });
+  const transition = (t) => ({
+    to: index[t.to],
+    when: (t.when || []).map(([param, op, value]) => ({ param, test: CONDITION_OPS[op], value })),
+    atEnd: !!t.atEnd,
+    fade: t.fade || 0
+  });
+  const loopMode = (loop) => {
+    if (loop === 'actor') return config.animMode === 'pingpong' ? 'pingpong' : 'loop';
+    if (loop === 'pingpong') return 'pingpong';
+    return loop === false ? 'once' : 'loop';
+  };
+  const msOf = (ms) => ms === 'walk' ? config.msWalk : ms === 'run' ? config.msRun : ms === undefined ? null : ms;
+
+  const states = names.map((name) => {
+    const s = m.states[name];
+    return {
+      name,
+      clip: {
+        anim: asList(s.clip.anim === undefined ? null : s.clip.anim),
+        loop: loopMode(s.clip.loop === undefined ? true : s.clip.loop),
+        ms: msOf(s.clip.ms),
+        events: (s.clip.events || []).map((e) => ({ ...e }))
+      },
+      hold: s.hold || 0,
+      to: (s.to || []).map(transition)
+    };
+  });
+  const params = Object.keys(m.params || {});
+  return {
+    names, index, states, params,
+    defaults: params.map((key) => m.params[key]),
+    initial: index[m.initial],
+    any: (m.any || []).map(transition)
+  };
+};
+
+// Resolves a clip to an anim key present in `anims`; `dirRot` feeds the actor's animKey strategy.
+export const pickAnim = (clip, anims, config, dirRot) => {
+  for (const cand of clip.anim) {
+    const key = cand === null ? config.getAnimKey(dirRot) : cand;
+    if (anims[key]) return key;
+  }
+  return 'IDLE';
+};
+
+/**
+ * The clip laid out in play order for one anim sequence: [{ seqIdx, ms }].
+ * Ping-pong plays forward then back without repeating the end frames.
+ * `holds[seqIdx]` (from deduplication) lists the source frames a kept frame stands for;
+ * it lasts as long as all of them (their own atlas durations, when the clip uses those).
+ */
+export const clipPlaylist = (clip, seq, frames, fallbackMs, holds = null) => {
+  const order = [];
+  for (let i = 0; i < seq.length; i++) order.push(i);
+  if (clip.loop === 'pingpong') for (let i = seq.length - 2; i > 0; i--) order.push(i);
+  const frameMs = (ref) => (frames[ref] && frames[ref].duration) || fallbackMs;
+  return order.map((seqIdx, n) => {
+    const refs = holds ? holds[seqIdx] : [seq[seqIdx]];
+    let ms = clip.ms;
+    if (ms === null) return { seqIdx, ms: refs.reduce((sum, ref) => sum + frameMs(ref), 0) };
+    if (Array.isArray(ms)) ms = ms[n % ms.length];
+    return { seqIdx, ms: ms * refs.length };
+  });
+};
+
+/**
+ * Where a playlist is after `time` ms: { entry, step, done }. `step` counts
+ * frame advances since the clip started (it keeps growing across loops).
+ */
+export const clipCursor = (playlist, loop, time) => {
+  const total = playlist.reduce((sum, e) => sum + e.ms, 0);
+  const P = playlist.length;
+  if (loop === 'once' && time >= total) return { entry: P - 1, step: P - 1, done: true };
+  const cycles = Math.floor(time / total);
+  let rem = time - cycles * total, entry = 0;
+  while (entry < P - 1 && rem >= playlist[entry].ms) { rem -= playlist[entry].ms; entry++; }
+  return { entry, step: cycles * P + entry, done: cycles >= 1 };
+};
+
+// Names of the events a clip raises on one of its sequence frames.
+export const eventsAt = (clip, seqIdx, seqLength) => clip.events
+  .filter((e) => (e.frame !== undefined ? e.frame : Math.floor(e.at * seqLength)) === seqIdx)
+  .map((e) => e.name);
+
+// First transition (state's own, then `any`) whose conditions hold, or null.
+export const pickTransition = (machine, stateIdx, params, stateTime, clipDone) => {
+  const state = machine.states[stateIdx];
+  if (stateTime < state.hold) return null;
+  const passes = (t) => t.to !== stateIdx
+    && (!t.atEnd || clipDone)
+    && t.when.every((c) => c.test(params[c.param], c.value));
+  return state.to.find(passes) || machine.any.find(passes) || null;
+};
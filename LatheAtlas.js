@@ -0,0 +1,128 @@
+/**
+ * Lathe.js // ATLAS
+ * Frame tables for actor sheets. Every actor resolves to a list of frame rects
+ * at load time, so the renderer never assumes a single horizontal row.
+ * * SOURCES:
+ * - Grid: `grid: { columns, rows, margin, spacing }` on the actor (all optional,
+ *   derived from the sheet size). Frames are numbered row-major. Actors without
+ *   `grid` or `atlas` are a one-row grid, as before.
+ * - Atlas: `atlas` (parsed JSON) or `atlasUrl` in Aseprite or TexturePacker
+ *   format (JSON-Hash or JSON-Array). Frame tags / `animations` become anims.
+ * * FRAME RECORD:
+ * - { name, x, y, w, h, ox, oy, duration }: source rect in the sheet plus the
+ *   offset of that (possibly trimmed) rect inside the actor's w×h cell.
+ */
+
+const makeFrame = (name, x, y, w, h, ox = 0, oy = 0, duration = 0) => ({ name, x, y, w, h, ox, oy, duration });
+
+// Row-major frames for a uniform grid sheet.
+export const gridFrames = ({ w, h, grid = {} }, sheetW, sheetH) => {
+  const margin = grid.margin || 0, spacing = grid.spacing || 0;
+  const columns = grid.columns || Math.max(1, Math.floor((sheetW - 2 * margin + spacing) / (w + spacing)));
+  const rows = grid.rows || Math.max(1, Math.floor((sheetH - 2 * margin + spacing) / (h + spacing)));
+
+  const frames = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < columns; c++) {
+      frames.push(makeFrame(null, margin + c * (w + spacing), margin + r * (h + spacing), w, h));
+    }
+  }
+  return frames;
+};
+
+// Expands an Aseprite frame tag into a frame list, honouring its direction.
+const tagSequence = ({ from, to, direction = 'forward' }) => {
+  const seq = [];
+  for (let i = from; i <= to; i++) seq.push(i);
+  if (direction === 'reverse') seq.reverse();
+  else if (direction === 'pingpong') for (let i = to - 1; i > from; i--) seq.push(i);
+  return seq;
+};
+
+/**
+ * Normalises an Aseprite / TexturePacker JSON atlas.
+ * `cell` ({ w, h }) overrides the logical cell size, which otherwise is the largest sourceSize.
+ * Frames smaller than the cell are centred horizontally and aligned to its bottom edge (feet).
+ */
+export const parseAtlas = (json, cell = {}) => {
+  if (!json || !json.frames) throw new Error('Lathe atlas: missing "frames"');
+  const entries = Array.isArray(json.frames)
+    ? json.frames.map((f, i) => [f.filename !== undefined ? f.filename : String(i), f])
+    : Object.entries(json.frames);
+
+  let cellW = cell.w || 0, cellH = cell.h || 0;
+  const raw = entries.map(([name, f]) => {
+    if (f.rotated) throw new Error(`Lathe atlas: frame "${name}" is rotated; export the atlas without rotation`);
+    const r = f.frame;
+    const sss = f.spriteSourceSize || { x: 0, y: 0 };
+    const src = f.sourceSize || { w: r.w, h: r.h };
+    if (!cell.w) cellW = Math.max(cellW, src.w);
+    if (!cell.h) cellH = Math.max(cellH, src.h);
+    return { name, r, sss, src, duration: f.duration || 0 };
+  });
+
+  const frames = raw.map(({ name, r, sss, src, duration }) => makeFrame(
+    name, r.x, r.y, r.w, r.h,
+    sss.x + Math.round((cellW - src.w) / 2),
+    sss.y + (cellH - src.h),
+    duration
+  ));
+
+  const byName = {};
+  frames.forEach((f, i) => { byName[f.name] = i; });
+
+  // Aseprite frame tags, then TexturePacker / Pixi `animations` (lists of frame names)
+  const tags = {};
+  const frameTags = (json.meta && json.meta.frameTags) || [];
+  for (const tag of frameTags) tags[tag.name] = tagSequence(tag);
+  for (const name in json.animations || {}) {
+    tags[name] = json.animations[name].map((frameName) => {
+      if (!(frameName in byName)) throw new Error(`Lathe atlas: animation "${name}" references unknown frame "${frameName}"`);
+      return byName[frameName];
+    });
+  }
+
+  return { frames, byName, tags, w: cellW, h: cellH, image: json.meta ? json.meta.image : undefined };
+};
+
+/**
+ * Builds the runtime sheet for an actor: its frame table and anims resolved to frame indices.
+ * Anims come from the atlas tags (renamed through `config.tags: { ANIM_KEY: 'tagName' }` when given),
+ * overridden by `config.anims`, whose entries may be frame indices or atlas frame names.
+ */
+export const resolveSheet = (config, bitmap, atlas = null) => {
+  let frames, byName = {}, anims = {};
+  let w = config.w, h = config.h;
+
+  if (atlas) {
+    const parsed = parseAtlas(atlas, { w: config.w, h: config.h });
+    frames = parsed.frames; byName = parsed.byName;
+    w = parsed.w; h = parsed.h;
+    if (config.tags) {
+      for (const key in config.tags) {
+        const tag = parsed.tags[config.tags[key]];
+        if (!tag) throw new Error(`Lathe atlas: anim "${key}" maps to unknown tag "${config.tags[key]}"`);
+        anims[key] = tag;
+      }
+    } else {
+      Object.assign(anims, parsed.tags);
+    }
+  } else {
+    frames = gridFrames(config, bitmap.width, bitmap.height);
+  }
+
+  for (const key in config.anims || {}) {
+    anims[key] = config.anims[key].map((ref) => {
+      if (typeof ref === 'number') return ref;
+      if (!(ref in byName)) throw new Error(`Lathe atlas: anim "${key}" references unknown frame "${ref}"`);
+      return byName[ref];
+    });
+  }
+
+  return { bitmap, frames, anims, w, h };
+};
+
+// True when the frame exists and its rect lies inside the bitmap.
+export const isFrameValid = (frame, bitmap) => !!frame
+  && frame.x >= 0 && frame.y >= 0
+  && frame.x + frame.w <= bitmap.width && frame.y + frame.h <= bitmap.height;
@@ -0,0 +1,129 @@
+/**
+ * Lathe.js // ATTACHMENTS
+ * Hats, held items, backpacks and alternate heads mounted on a puppet without
+ * touching its sheet. Actors declare sockets on their segments; attachments are
+ * separate images mounted on a socket per puppet (puppet.attach(socket, key)).
+ * The renderer owns the mounts, this module turns a socket and an image into
+ * strip layers the backends already draw.
+ * * SOCKETS (actor `sockets: { name: socket }`):
+ * - { segment, row | fromNeck, angle, out }
+ *   segment:  name of the segment it rides on ('BODY' / 'HEAD' for the classic rig)
+ *   row:      cell row of the socket, or fromNeck: rows below neckY (negative = above)
+ *   angle:    degrees round the segment from its front, +90 = the sheet's right edge
+ *   out:      cell px off the surface (a hand held away from the body)
+ * * ATTACHMENTS (createLathe({ attachments }) / lathe.registerAttachment):
+ * - { url, mode, anchor, scale }
+ *   mode:   'wrap'      wraps onto the segment's cylinder like a decal (hats, badges)
+ *           'billboard' stays flat and faces the viewer at the socket; drawn behind
+ *                       the segment while the socket is round the back (weapons, packs)
+ *           'replace'   draws instead of the socket's segment, laid out like one cell
+ *                       of the sheet (alternate heads)
+ *   anchor: [x, y] px of the image that sits on the socket (default bottom centre)
+ *   scale:  image px per cell px (default 1)
+ */
+
+export const ATTACHMENT_MODES = ['wrap', 'billboard', 'replace'];
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const SOCKET_FIELDS = ['segment', 'row', 'fromNeck', 'angle', 'out'];
+
+// Socket checks for LatheActorSchema's collector; `segmentNames` are the actor's segments.
+export const validateSockets = (sockets, segmentNames, fail) => {
+  if (!isObject(sockets)) { fail('sockets', 'must map socket names to { segment, row | fromNeck, angle, out }'); return; }
+  for (const name in sockets) {
+    const s = sockets[name], at = `sockets.${name}`;
+    if (!isObject(s)) { fail(at, 'must be an object'); continue; }
+    for (const key in s) if (!SOCKET_FIELDS.includes(key)) fail(`${at}.${key}`, 'unknown field');
+    if (!segmentNames.includes(s.segment)) fail(`${at}.segment`, `must name a segment (${segmentNames.join(', ')})`);
+    if ((s.row === undefined) === (s.fromNeck === undefined)) fail(at, 'needs exactly one of row, fromNeck');
+    for (const key of ['row', 'fromNeck', 'angle', 'out']) if (s[key] !== undefined && !isNum(s[key])) fail(`${at}.${key}`, 'must be a number');
+  }
+};
+
+// Runtime sockets: segment index and absolute cell row resolved.
+export const compileSockets = (sockets = {}, segments, neckY) => {
+  const out = {};
+  for (const name in sockets) {
+    const s = sockets[name];
+    out[name] = {
+      name,
+      segment: segments.findIndex((seg) => seg.name === s.segment),
+      row: s.row !== undefined ? s.row : neckY + s.fromNeck,
+      angle: (s.angle || 0) * Math.PI / 180,
+      out: s.out || 0
+    };
+  }
+  return out;
+};
+
+// Validates an attachment definition; returns it with defaults applied. Throws.
+export const compileAttachment = (def, key) => {
+  const fail = (message) => { throw new Error(`Lathe: invalid attachment "${key}": ${message}`); };
+  if (!isObject(def)) fail('must be an object');
+  const { mode = 'wrap', anchor = null, scale = 1 } = def;
+  if (def.url !== undefined && typeof def.url !== 'string') fail('url must be a string');
+  if (!ATTACHMENT_MODES.includes(mode)) fail(`mode must be one of ${ATTACHMENT_MODES.join(', ')}`);
+  if (anchor !== null && !(Array.isArray(anchor) && anchor.length === 2 && anchor.every(isNum))) fail('anchor must be [x, y]');
+  if (!(isNum(scale) && scale > 0)) fail('scale must be a positive number');
+  return { ...def, key, mode, anchor, scale };
+};
+
+// The segment's radius (buffer px) at a cell row, following cones and tapers.
+const radiusAt = (layer, row) => {
+  const along = Math.max(0, Math.min(1, (row - layer.yStart) / (layer.yEnd - layer.yStart)));
+  return layer.radConst * (layer.taperTop + (1 - layer.taperTop) * along);
+};
+
+// The row's bend offset (drawStrips2D's roll) so a mount stays on a pitched segment.
+const rollAt = (layer, row) => layer.useSmartStrip ? 0
+  : Math.sin(((row - layer.yStart) / (layer.yEnd - layer.yStart) - 0.5) * Math.PI) * layer.pitchConst;
+
+/**
+ * Where a socket is on a drawn segment layer: buffer x, y and depth z (cos of its
+ * angle to the viewer, < 0 round the back), plus the radius and surface angle.
+ */
+export const socketPoint = (layer, socket) => {
+  const pxPerRow = layer.currentH / layer.cellH;
+  const radius = radiusAt(layer, socket.row) + socket.out * pxPerRow;
+  const angle = layer.rotRad + (layer.isFlipped ? -socket.angle : socket.angle);
+  return {
+    x: layer.centerX + Math.sin(angle) * radius,
+    y: layer.dyBase + socket.row * pxPerRow + rollAt(layer, socket.row),
+    z: Math.cos(angle),
+    radius, angle, pxPerRow
+  };
+};
+
+// Frame covering a whole attachment image.
+export const imageFrame = (image) => ({ name: null, x: 0, y: 0, w: image.width, h: image.height, ox: 0, oy: 0, duration: 0 });
+
+/**
+ * Strip layer drawing `image` mounted on `socket` of the segment drawn by `layer`.
+ * Wraps go round the segment at the socket's radius; billboards are a flat strip
+ * (a very wide, very shallow arc) centred on the socket.
+ */
+export const mountLayer = (layer, socket, attachment, image) => {
+  const frame = imageFrame(image);
+  const p = socketPoint(layer, socket);
+  const k = attachment.scale * p.pxPerRow;
+  const [ax, ay] = attachment.anchor || [frame.w / 2, frame.h];
+  // Mirrored sprites read their columns right to left, so the anchor column mirrors too
+  const u = (layer.isFlipped ? frame.w - ax : ax) / frame.w - 0.5;
+  const base = {
+    ...layer,
+    layerType: socket.name, frame,
+    cellW: frame.w, cellH: frame.h, yStart: 0, yEnd: frame.h,
+    profile: 'cylinder', taperTop: 1, edgeSkip: 0,
+    useSmartStrip: true, isAccordionActive: false, pitchConst: 0,
+    dyBase: p.y - ay * k, currentH: frame.h * k
+  };
+  if (attachment.mode === 'wrap') {
+    const arc = (frame.w * k) / p.radius;
+    return { ...base, arc, rotRad: p.angle - u * arc, radConst: p.radius };
+  }
+  const FLAT = 1e4;
+  const width = frame.w * k;
+  return { ...base, arc: width / FLAT, rotRad: 0, radConst: FLAT, centerX: p.x - u * width };
+};
@@ -0,0 +1,35 @@
+/**
+ * Lathe.js // CLOCK
+ * Fixed-timestep accumulator. Real frame time goes in, a whole number of
+ * simulation ticks comes out, so physics and animation run at the same rate
+ * on 30Hz, 60Hz and 144Hz displays.
+ * * USAGE:
+ * - const clock = createFixedClock({ stepMs: 16.6 });
+ * - clock.advance(elapsedMs, tick) runs tick() zero or more times.
+ * - clock.alpha (0..1) is how far the render time sits between the last two ticks.
+ */
+
+export const createFixedClock = ({ stepMs = 16.6, maxSteps = 8 } = {}) => {
+  let acc = 0;
+
+  // Runs `tick` once per whole step in the accumulated time. After a long stall
+  // (tab switch, breakpoint) at most `maxSteps` run and the backlog is dropped.
+  const advance = (dt, tick) => {
+    acc += Math.max(0, dt);
+    let n = 0;
+    while (acc >= stepMs && n < maxSteps) {
+      tick();
+      acc -= stepMs;
+      n++;
+    }
+    if (n === maxSteps && acc >= stepMs) acc = acc % stepMs;
+    return n;
+  };
+
+  return {
+    stepMs,
+    advance,
+    get alpha() { return acc / stepMs; },
+    reset: () => { acc = 0; }
+  };
+};
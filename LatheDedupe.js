@@ -0,0 +1,178 @@
+/**
+ * Lathe.js // DEDUPE
+ * Finds frames that look the same anywhere in a sheet and folds them together.
+ * Sequences are remapped onto one kept frame per look; a run of repeats inside a
+ * sequence (a pause in the art) becomes a hold on the kept frame lasting as long
+ * as the frames it replaced, so the original timing survives.
+ * * OPTIONS (actor `deduplicate: true | { tolerance, holds }`):
+ * - tolerance: max per-channel difference (0..255) for two pixels to match.
+ *   Pixels transparent in both frames are ignored. Default 0 (exact).
+ * - holds: keep pauses as hold time (default) or drop them for snappier motion.
+ * * PERFORMANCE:
+ * - Runs in a module Worker where one can be started (LatheDedupeWorker.js) and in
+ *   the calling thread otherwise. Sheets loaded from a URL are cached by URL, size,
+ *   frame table and tolerance, so reloading the same art reads no pixels at all;
+ *   clearDedupeCache() after replacing the art behind a URL. Other sources are
+ *   cached by a hash of their pixels, which saves the comparison but not the read.
+ */
+
+import { isFrameValid } from './LatheAtlas.js';
+
+export const DEDUPE_DEFAULTS = { tolerance: 0, holds: true };
+
+export const dedupeOptions = (deduplicate) => ({ ...DEDUPE_DEFAULTS, ...(deduplicate === true ? {} : deduplicate) });
+
+// FNV-1a over bytes (pixels) or a string (frame table), chained through `h`.
+export const hashBytes = (bytes, h = 0x811c9dc5) => {
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 0x01000193);
+  return h >>> 0;
+};
+const hashString = (str, h) => {
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return h >>> 0;
+};
+
+// Each frame's RGBA placed in its w×h cell (trimmed frames sit at their offset); null when invalid.
+export const readCells = (bitmap, frames, w, h, createCanvas) => {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const cells = frames.map((frame) => {
+    if (!isFrameValid(frame, bitmap)) return null;
+    ctx.clearRect(0, 0, w, h);
+    ctx.drawImage(bitmap, frame.x, frame.y, frame.w, frame.h, frame.ox, frame.oy, frame.w, frame.h);
+    return ctx.getImageData(0, 0, w, h).data;
+  });
+  canvas.width = 0; canvas.height = 0;
+  return cells;
+};
+
+export const sameCell = (a, b, tolerance) => {
+  for (let p = 0; p < a.length; p += 4) {
+    if (a[p + 3] === 0 && b[p + 3] === 0) continue;
+    if (Math.abs(a[p] - b[p]) > tolerance || Math.abs(a[p + 1] - b[p + 1]) > tolerance
+      || Math.abs(a[p + 2] - b[p + 2]) > tolerance || Math.abs(a[p + 3] - b[p + 3]) > tolerance) return false;
+  }
+  return true;
+};
+
+// canonical[i] is the first frame that looks like frame i (i itself when unique).
+export const findDuplicates = (cells, tolerance) => {
+  const canonical = new Int32Array(cells.length);
+  const kept = [];
+  cells.forEach((cell, i) => {
+    canonical[i] = i;
+    if (!cell) return;
+    const match = kept.find((k) => sameCell(cells[k], cell, tolerance));
+    if (match !== undefined) canonical[i] = match; else kept.push(i);
+  });
+  return canonical;
+};
+
+const cache = new Map();
+export const clearDedupeCache = () => cache.clear();
+
+const frameTable = (frames) => JSON.stringify(frames.map((f) => [f.x, f.y, f.w, f.h, f.ox, f.oy]));
+
+// Canonical table for a sheet, from the cache when its pixels and frame table were seen before.
+export const dedupeCells = (cells, frames, tolerance) => {
+  let h = 0x811c9dc5;
+  for (const cell of cells) if (cell) h = hashBytes(cell, h);
+  const key = `${hashString(frameTable(frames), h)}:${tolerance}`;
+  let canonical = cache.get(key);
+  if (!canonical) {
+    canonical = findDuplicates(cells, tolerance);
+    cache.set(key, canonical);
+  }
+  return canonical;
+};
+
+/**
+ * Remaps every sequence onto canonical frames and folds adjacent repeats:
+ * returns { anims, holds } where holds[name][i] lists the source frames sequence
+ * entry i stands for, so their durations add up (just its first one when `holds`
+ * is off and pauses are dropped).
+ */
+export const foldSequences = (anims, canonical, { holds = true } = {}) => {
+  const outAnims = {}, outHolds = {};
+  for (const name in anims) {
+    const seq = [], hold = [];
+    for (const ref of anims[name]) {
+      const frameIdx = canonical[ref] !== undefined ? canonical[ref] : ref;
+      if (seq.length && seq[seq.length - 1] === frameIdx) {
+        if (holds) hold[hold.length - 1].push(ref);
+        continue;
+      }
+      seq.push(frameIdx); hold.push([ref]);
+    }
+    outAnims[name] = seq;
+    outHolds[name] = hold;
+  }
+  return { anims: outAnims, holds: outHolds };
+};
+
+// --- WORKER ---
+let worker = null, workerFailed = false, nextJob = 0;
+const jobs = new Map();
+
+const startWorker = () => {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL('./LatheDedupeWorker.js', import.meta.url), { type: 'module' });
+  } catch (e) {
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const job = jobs.get(data.id);
+    jobs.delete(data.id);
+    if (!job) return;
+    if (data.error) job.reject(new Error(data.error)); else job.resolve(data.canonical);
+  };
+  // A worker that cannot start (no module workers, blocked URL) fails every job; they rerun in-thread
+  worker.onerror = (e) => {
+    e.preventDefault();
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    for (const job of jobs.values()) job.reject(new Error('Lathe dedupe: worker failed'));
+    jobs.clear();
+  };
+  return worker;
+};
+
+const inWorker = async (bitmap, frames, w, h, tolerance) => {
+  const copy = await createImageBitmap(bitmap);
+  return new Promise((resolve, reject) => {
+    const id = nextJob++;
+    jobs.set(id, { resolve, reject });
+    worker.postMessage({ id, bitmap: copy, frames, w, h, tolerance }, [copy]);
+  });
+};
+
+const findInThread = async (bitmap, frames, w, h, tolerance, createCanvas) => {
+  if (startWorker()) {
+    try {
+      return await inWorker(bitmap, frames, w, h, tolerance);
+    } catch (e) {
+      // Fall through to the calling thread
+    }
+  }
+  return dedupeCells(readCells(bitmap, frames, w, h, createCanvas), frames, tolerance);
+};
+
+/**
+ * Canonical frame table for a sheet (see findDuplicates). Off the main thread when
+ * possible; `createCanvas` reads the pixels when it has to run here. `url` is where
+ * the sheet came from, if anywhere: a cached result for it skips reading the sheet.
+ */
+export const dedupeSheet = async ({ bitmap, frames, w, h, tolerance = 0, createCanvas, url = null }) => {
+  const key = url ? `${url} ${bitmap.width}x${bitmap.height} ${frameTable(frames)}:${tolerance}` : null;
+  if (key && cache.has(key)) return cache.get(key);
+  const canonical = await findInThread(bitmap, frames, w, h, tolerance, createCanvas);
+  if (key) cache.set(key, canonical);
+  return canonical;
+};
@@ -0,0 +1,22 @@
+/**
+ * Lathe.js // DEDUPE WORKER
+ * Module worker behind LatheDedupe.dedupeSheet: reads the frames of a transferred
+ * ImageBitmap and returns the canonical frame table. Its cache lives as long as
+ * the worker, which is shared by every lathe on the page.
+ */
+
+import { readCells, dedupeCells } from './LatheDedupe.js';
+
+const createCanvas = (w, h) => new OffscreenCanvas(w, h);
+
+self.onmessage = ({ data }) => {
+  const { id, bitmap, frames, w, h, tolerance } = data;
+  try {
+    const canonical = dedupeCells(readCells(bitmap, frames, w, h, createCanvas), frames, tolerance);
+    self.postMessage({ id, canonical });
+  } catch (e) {
+    self.postMessage({ id, error: `Lathe dedupe: ${e.message}` });
+  } finally {
+    bitmap.close();
+  }
+};
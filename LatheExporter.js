@@ -0,0 +1,257 @@
+/**
+ * Lathe.js // EXPORTER
+ * Bakes an actor offline: every yaw × pitch × motion frame goes through the same
+ * drawPuppet pipeline as live puppets, then out as a packed atlas with a JSON
+ * manifest, animated GIFs or PNG sequences. Engines that cannot run the lathe
+ * can ship the baked sheets instead.
+ * * USAGE:
+ * - const bake = await bakeActor(lathe, 'mummy', { directions: 8, pitches: [0, -0.6] });
+ * - const { canvas, manifest } = packAtlas(bake);
+ * - const gifs = exportGIFs(bake); const pngs = await exportPNGSequence(bake);
+ * * HEADLESS:
+ * - Pass the same `createCanvas` to createLathe and to the exporter, e.g.
+ *   node-canvas's createCanvas, and hand loadActor a loaded Image as `source`.
+ *   Browsers and Workers default to OffscreenCanvas.
+ * * MOTIONS:
+ * - idle, walk, run, jump (rise and fall along the jump arc), land, turn: each plays
+ *   its animation state once through (one cycle for loops). The gait flags the engine
+ *   normally derives from yaw and height are forced, so any motion bakes at any yaw.
+ * - Yaw is limited to ±60° by the lathe itself (the far side of the cylinder is culled).
+ */
+
+import { defaultCreateCanvas, FRAME_MS, PHYSICS, fallDistance } from './LatheRenderer.js';
+import { encodeGIF } from './LatheGIF.js';
+import { pickAnim, clipPlaylist } from './LatheAnimator.js';
+
+const GROUNDED = { moving: false, running: false, airborne: false };
+export const MOTIONS = {
+  idle: { state: 'idle', flags: GROUNDED },
+  walk: { state: 'walk', flags: { moving: true, running: false, airborne: false } },
+  run: { state: 'run', flags: { moving: true, running: true, airborne: false } },
+  jump: { state: 'jump-rise', fall: 'jump-fall', flags: { airborne: true } },
+  land: { state: 'land', flags: GROUNDED },
+  turn: { state: 'turn', flags: { moving: true, running: false, airborne: false } }
+};
+const DEFAULT_MOTIONS = ['idle', 'walk', 'run', 'jump'];
+
+const YAW_LIMIT = 60;
+// Idle breathing and head bounce run on sin(time * 0.002)
+const IDLE_PERIOD = (2 * Math.PI) / 0.002;
+
+// `n` yaws spread evenly across the visible arc.
+export const turnaround = (n, limit = YAW_LIMIT) => {
+  if (n <= 1) return [0];
+  return Array.from({ length: n }, (_, i) => Math.round((-limit + (2 * limit * i) / (n - 1)) * 100) / 100);
+};
+
+// Height and rising flag per tick of a jump, as update() integrates it at `stepMs`.
+const jumpArc = (stepMs) => {
+  const ticks = [], stepRate = stepMs / FRAME_MS;
+  let py = 0, vel = PHYSICS.jumpVelocity;
+  do {
+    py += fallDistance(vel, stepRate);
+    if (py < 0) { vel += PHYSICS.gravity * stepRate; ticks.push({ py, rising: vel < 0 }); }
+  } while (py < 0);
+  return ticks;
+};
+
+// Frame samples ({ state, stateTime, time, py, duration }) for one motion at one yaw.
+const motionSamples = (motion, config, sheet, yaw, { idleFrames, jumpStride, stepMs }) => {
+  const { state, fall } = MOTIONS[motion];
+  if (motion === 'jump') {
+    const arc = jumpArc(stepMs);
+    const fallStart = arc.findIndex((t) => !t.rising);
+    const out = [];
+    for (let t = 0; t < arc.length; t += jumpStride) {
+      const rising = arc[t].rising;
+      const since = rising ? t + 1 : t - fallStart + 1;
+      out.push({ state: rising ? state : fall, stateTime: since * stepMs, time: (t + 1) * stepMs, py: arc[t].py, duration: jumpStride * stepMs });
+    }
+    return out;
+  }
+  const clip = config.machine.states[config.machine.index[state]].clip;
+  const name = pickAnim(clip, sheet.anims, config, yaw);
+  const seq = sheet.anims[name];
+  const playlist = clipPlaylist(clip, seq, sheet.frames, config.msWalk, sheet.holds && sheet.holds[name]);
+  if (motion === 'idle' && playlist.length === 1) {
+    // A still idle frame: bake the breathing instead
+    const ms = IDLE_PERIOD / idleFrames;
+    return Array.from({ length: idleFrames }, (_, i) => ({ state, stateTime: i * ms, time: i * ms, py: 0, duration: ms }));
+  }
+  // Sample mid-frame so float time never lands on a frame boundary
+  let start = 0;
+  return playlist.map(({ ms }) => {
+    const sample = { state, stateTime: start + ms / 2, time: start + ms / 2, py: 0, duration: ms };
+    start += ms;
+    return sample;
+  });
+};
+
+const label = (v) => String(Math.round(v * 100) / 100);
+
+/**
+ * Renders every requested frame and crops them all to one shared cell, so the
+ * puppet's anchor sits at the same `origin` in every frame.
+ * `yaws` (degrees) wins over `directions`; `scale` renders above the lathe's 1:1 size.
+ * `attachments` ({ socket: attachment key }) bakes those mounts into every frame.
+ */
+export const bakeActor = async (lathe, key, {
+  directions = 8, yaws = null, pitches = [0], motions = DEFAULT_MOTIONS,
+  scale = 1, padding = 2, idleFrames = 8, jumpStride = 3, attachments = null, createCanvas = defaultCreateCanvas
+} = {}) => {
+  const config = lathe.getActor(key);
+  if (!config) throw new Error(`Lathe: unknown actor "${key}"`);
+  const sheet = lathe.getSheet(key) || await lathe.loadActor(key);
+  if (sheet.placeholder) throw new Error(`Lathe exporter: actor "${key}" failed to load (${sheet.error && sheet.error.message}); refusing to bake placeholder art`);
+  if (attachments) await Promise.all(Object.values(attachments).map((item) => lathe.loadAttachment(item)));
+  for (const m of motions) {
+    if (!MOTIONS[m]) throw new Error(`Lathe exporter: unknown motion "${m}" (expected ${Object.keys(MOTIONS).join(', ')})`);
+    for (const state of [MOTIONS[m].state, MOTIONS[m].fall]) {
+      if (state && !(state in config.machine.index)) throw new Error(`Lathe exporter: motion "${m}" needs animation state "${state}", which actor "${key}" does not have`);
+    }
+  }
+
+  const yawList = yaws || turnaround(directions);
+  const timing = { idleFrames, jumpStride, stepMs: lathe.clock.stepMs };
+
+  const jobs = [];
+  const tags = [];
+  for (const motion of motions) {
+    for (const yaw of yawList) {
+      for (const pitch of pitches) {
+        const tag = `${motion}_yaw${label(yaw)}_pitch${label(pitch)}`;
+        const samples = motionSamples(motion, config, sheet, yaw, timing);
+        tags.push({ name: tag, motion, yaw, pitch, from: jobs.length, to: jobs.length + samples.length - 1 });
+        samples.forEach((s, i) => jobs.push({ name: `${tag}_${i}`, tag, motion, yaw, pitch, index: i, ...s }));
+      }
+    }
+  }
+
+  // Every pose is drawn on one stage fitting the actor's bounds and its highest jump
+  const { halfW, halfH } = lathe.actorBounds(key, attachments);
+  const rise = jobs.reduce((top, job) => Math.max(top, -job.py), 0);
+  const anchor = { x: halfW, y: halfH + rise };
+  const width = Math.ceil(2 * halfW * scale), height = Math.ceil((2 * halfH + rise) * scale);
+  const stage = createCanvas(width, height);
+  const sCtx = stage.getContext('2d', { willReadFrequently: true });
+  const draw = (job) => {
+    sCtx.setTransform(1, 0, 0, 1, 0, 0);
+    sCtx.clearRect(0, 0, width, height);
+    sCtx.setTransform(scale, 0, 0, scale, 0, 0);
+    lathe.renderPose(sCtx, anchor.x, anchor.y, {
+      actor: key, yaw: job.yaw, pitch: job.pitch, time: job.time, py: job.py,
+      state: job.state, stateTime: job.stateTime, motion: MOTIONS[job.motion].flags, attachments
+    });
+  };
+
+  // Pass 1: union of the opaque bounds of every frame
+  let x0 = width, y0 = height, x1 = -1, y1 = -1;
+  for (const job of jobs) {
+    draw(job);
+    const data = sCtx.getImageData(0, 0, width, height).data;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (data[(y * width + x) * 4 + 3] === 0) continue;
+        if (x < x0) x0 = x; if (x > x1) x1 = x;
+        if (y < y0) y0 = y; if (y > y1) y1 = y;
+      }
+    }
+  }
+  if (x1 < 0) throw new Error(`Lathe exporter: actor "${key}" rendered no pixels`);
+  x0 = Math.max(0, x0 - padding); y0 = Math.max(0, y0 - padding);
+  x1 = Math.min(width - 1, x1 + padding); y1 = Math.min(height - 1, y1 + padding);
+  const cell = { w: x1 - x0 + 1, h: y1 - y0 + 1 };
+
+  // Pass 2: re-render (cheaper than holding every full stage) and crop
+  const frames = jobs.map((job) => {
+    draw(job);
+    const canvas = createCanvas(cell.w, cell.h);
+    canvas.getContext('2d').drawImage(stage, x0, y0, cell.w, cell.h, 0, 0, cell.w, cell.h);
+    const { time, py, state, stateTime, ...rest } = job;
+    return { ...rest, duration: Math.round(job.duration), canvas };
+  });
+  stage.width = 0; stage.height = 0;
+
+  return {
+    actor: key, scale, cell, frames, tags,
+    // Where the lathe's anchor (the x, y given to render) lands inside each cell
+    origin: { x: anchor.x * scale - x0, y: anchor.y * scale - y0 },
+    createCanvas
+  };
+};
+
+/**
+ * Packs a bake into one sheet, one row per tag, with an Aseprite-style manifest
+ * (frames hash + meta.frameTags) that LatheAtlas.parseAtlas and most engines read.
+ */
+export const packAtlas = (bake, { spacing = 1, image = `${bake.actor}.png` } = {}) => {
+  const { cell, frames, tags } = bake;
+  const columns = Math.max(...tags.map((t) => t.to - t.from + 1));
+  const width = columns * (cell.w + spacing) - spacing;
+  const height = tags.length * (cell.h + spacing) - spacing;
+  const canvas = bake.createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  const manifestFrames = {};
+  tags.forEach((tag, row) => {
+    for (let i = tag.from; i <= tag.to; i++) {
+      const f = frames[i];
+      const x = (i - tag.from) * (cell.w + spacing), y = row * (cell.h + spacing);
+      ctx.drawImage(f.canvas, x, y);
+      manifestFrames[f.name] = {
+        frame: { x, y, w: cell.w, h: cell.h },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: cell.w, h: cell.h },
+        sourceSize: { w: cell.w, h: cell.h },
+        duration: f.duration
+      };
+    }
+  });
+
+  const manifest = {
+    frames: manifestFrames,
+    meta: {
+      app: 'Lathe.js exporter',
+      image,
+      format: 'RGBA8888',
+      size: { w: width, h: height },
+      scale: String(bake.scale),
+      frameTags: tags.map(({ name, from, to }) => ({ name, from, to, direction: 'forward' })),
+      lathe: {
+        actor: bake.actor,
+        origin: bake.origin,
+        tags: tags.map(({ name, motion, yaw, pitch }) => ({ name, motion, yaw, pitch }))
+      }
+    }
+  };
+  return { canvas, manifest };
+};
+
+const framePixels = (f) => {
+  const { width, height } = f.canvas;
+  return { data: f.canvas.getContext('2d').getImageData(0, 0, width, height).data, width, height, delay: f.duration };
+};
+
+// One looping GIF per tag: [{ name, data: Uint8Array }].
+export const exportGIFs = (bake, { loop = 0 } = {}) => bake.tags.map((tag) => ({
+  name: `${bake.actor}_${tag.name}.gif`,
+  data: encodeGIF(bake.frames.slice(tag.from, tag.to + 1).map(framePixels), { loop })
+}));
+
+// PNG bytes from whichever encoder the canvas offers (OffscreenCanvas, DOM canvas or node-canvas).
+export const canvasToPNG = async (canvas) => {
+  let blob;
+  if (canvas.convertToBlob) blob = await canvas.convertToBlob({ type: 'image/png' });
+  else if (canvas.toBlob) blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+  else if (canvas.toBuffer) return new Uint8Array(canvas.toBuffer('image/png'));
+  else throw new Error('Lathe exporter: canvas cannot encode PNG');
+  return new Uint8Array(await blob.arrayBuffer());
+};
+
+// Every frame as its own PNG: [{ name, data: Uint8Array }].
+export const exportPNGSequence = async (bake) => {
+  const out = [];
+  for (const f of bake.frames) out.push({ name: `${bake.actor}_${f.name}.png`, data: await canvasToPNG(f.canvas) });
+  return out;
+};
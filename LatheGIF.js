@@ -0,0 +1,140 @@
+/**
+ * Lathe.js // GIF
+ * Minimal animated GIF89a encoder for baked frames. Pure JS, so it runs the same
+ * in a browser, a Worker or Node.
+ * * USAGE:
+ * - const bytes = encodeGIF([{ data, width, height, delay }], { loop: 0 });
+ *   `data` is RGBA (ImageData.data), `delay` in ms. All frames share one size.
+ * * PALETTE:
+ * - One global palette of up to 255 colours, picked by popularity from 15-bit
+ *   buckets across every frame. Index 0 is transparent (alpha < 128).
+ */
+
+const bucketOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+const buildPalette = (frames) => {
+  const count = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  for (const { data } of frames) {
+    for (let p = 0; p < data.length; p += 4) {
+      if (data[p + 3] < 128) continue;
+      const k = bucketOf(data[p], data[p + 1], data[p + 2]);
+      count[k]++;
+      sums[k * 3] += data[p]; sums[k * 3 + 1] += data[p + 1]; sums[k * 3 + 2] += data[p + 2];
+    }
+  }
+
+  const used = [];
+  for (let k = 0; k < 32768; k++) if (count[k]) used.push(k);
+  used.sort((a, b) => count[b] - count[a]);
+  const kept = used.slice(0, 255);
+
+  // Colour table size is a power of two, at least 4 entries (2 bits)
+  let bits = 2;
+  while ((1 << bits) < kept.length + 1) bits++;
+  const table = new Uint8Array((1 << bits) * 3);
+  const colors = kept.map((k, i) => {
+    const rgb = [0, 1, 2].map((c) => Math.round(sums[k * 3 + c] / count[k]));
+    table.set(rgb, (i + 1) * 3);
+    return rgb;
+  });
+
+  // Bucket -> palette index, resolved lazily to the nearest kept colour
+  const lookup = new Int16Array(32768).fill(-1);
+  kept.forEach((k, i) => { lookup[k] = i + 1; });
+  const indexOf = (r, g, b) => {
+    const k = bucketOf(r, g, b);
+    if (lookup[k] < 0) {
+      let best = 1, bestD = Infinity;
+      colors.forEach(([cr, cg, cb], i) => {
+        const d = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+        if (d < bestD) { bestD = d; best = i + 1; }
+      });
+      lookup[k] = best;
+    }
+    return lookup[k];
+  };
+
+  return { bits, table, indexOf };
+};
+
+// Variable-width LZW as the GIF spec wants it, codes packed LSB first.
+const lzw = (indices, minCodeSize) => {
+  const clear = 1 << minCodeSize, eoi = clear + 1;
+  const out = [];
+  let codeSize = minCodeSize + 1, next = eoi + 1;
+  let dict = new Map();
+  let acc = 0, nbits = 0;
+
+  const emit = (code) => {
+    acc |= code << nbits;
+    nbits += codeSize;
+    while (nbits >= 8) { out.push(acc & 0xff); acc >>>= 8; nbits -= 8; }
+  };
+
+  emit(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = prefix * 256 + k;
+    const code = dict.get(key);
+    if (code !== undefined) { prefix = code; continue; }
+    emit(prefix);
+    if (next === 4096) {
+      emit(clear);
+      dict = new Map();
+      codeSize = minCodeSize + 1; next = eoi + 1;
+    } else {
+      // The decoder lags one code behind, so widen one entry early
+      if (next >= (1 << codeSize)) codeSize++;
+      dict.set(key, next++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoi);
+  if (nbits > 0) out.push(acc & 0xff);
+  return out;
+};
+
+export const encodeGIF = (frames, { loop = 0 } = {}) => {
+  if (!frames.length) throw new Error('Lathe GIF: no frames');
+  const { width, height } = frames[0];
+  if (frames.some((f) => f.width !== width || f.height !== height)) throw new Error('Lathe GIF: frames differ in size');
+
+  const { bits, table, indexOf } = buildPalette(frames);
+  const out = [];
+  const u16 = (v) => out.push(v & 0xff, (v >> 8) & 0xff);
+  const ascii = (str) => { for (const ch of str) out.push(ch.charCodeAt(0)); };
+
+  ascii('GIF89a');
+  u16(width); u16(height);
+  out.push(0x80 | ((bits - 1) << 4) | (bits - 1), 0, 0);
+  for (const v of table) out.push(v);
+
+  // NETSCAPE2.0 loop count (0 = forever)
+  out.push(0x21, 0xff, 0x0b); ascii('NETSCAPE2.0'); out.push(0x03, 0x01); u16(loop); out.push(0);
+
+  const indices = new Uint8Array(width * height);
+  for (const { data, delay = 100 } of frames) {
+    for (let i = 0, p = 0; i < indices.length; i++, p += 4) {
+      indices[i] = data[p + 3] < 128 ? 0 : indexOf(data[p], data[p + 1], data[p + 2]);
+    }
+    // Graphic control: restore to background, transparent index 0, delay in 1/100 s
+    out.push(0x21, 0xf9, 0x04, (2 << 2) | 1);
+    u16(Math.max(2, Math.round(delay / 10)));
+    out.push(0, 0);
+
+    out.push(0x2c); u16(0); u16(0); u16(width); u16(height); out.push(0);
+    out.push(bits);
+    const body = lzw(indices, bits);
+    for (let i = 0; i < body.length; i += 255) {
+      const n = Math.min(255, body.length - i);
+      out.push(n);
+      for (let j = 0; j < n; j++) out.push(body[i + j]);
+    }
+    out.push(0);
+  }
+  out.push(0x3b);
+  return new Uint8Array(out);
+};
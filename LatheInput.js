@@ -0,0 +1,223 @@
+/**
+ * Lathe.js // INPUT
+ * Maps devices onto the same puppet targets the pointer demo drives: heading
+ * (yaw), pitch, run and jump. Every source produces an intent each frame:
+ *   { yaw, pitch, tracking, jump }
+ * yaw in degrees, pitch in -1.1..1.1, tracking = actively steering (otherwise the
+ * puppet eases back to rest), jump = fire once this frame (puppets ignore it while airborne).
+ * * USAGE:
+ * - const ctl = createController(puppet, [createPointerSource(), createKeyboardSource(), createGamepadSource()]);
+ * - Per frame, before lathe.step(): ctl.update(now);
+ * - NPCs: createScriptedSource((now, puppet) => ({ yaw: 40, tracking: true }))
+ * * RUN:
+ * - The engine derives walk/run from how far the puppet turns, so `run` picks
+ *   runYaw (past the sprint threshold) instead of walkYaw for digital input.
+ */
+
+export const DEFAULT_BINDINGS = {
+  keyboard: {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    up: ['ArrowUp', 'KeyW'],
+    down: ['ArrowDown', 'KeyS'],
+    jump: ['Space'],
+    run: ['ShiftLeft', 'ShiftRight']
+  },
+  // Standard Gamepad API layout: buttons 0 = A/Cross, 1 = B/Circle, 5 = right bumper
+  gamepad: {
+    axisX: 0,
+    axisY: 1,
+    jump: [0],
+    run: [1, 5],
+    deadzone: 0.2
+  },
+  pointer: {
+    yawScale: 130,   // px: atan2(dx, yawScale) gives the heading
+    pitchScale: 160, // px of vertical offset per pitch unit
+    swipeJump: 50    // px of upward swipe that counts as a jump
+  }
+};
+
+export const WALK_YAW = 32;
+export const RUN_YAW = 55;
+export const PITCH_RANGE = 0.8;
+
+const REST = { yaw: 0, pitch: 0, tracking: false, jump: false };
+
+const merge = (defaults, overrides = {}) => ({ ...defaults, ...overrides });
+const anyDown = (codes, held) => codes.some((code) => held.has(code));
+
+// --- POINTER ---
+// Press to steer towards the pointer (relative to the screen centre), swipe up and release to jump.
+export const createPointerSource = ({ target = window, bindings = {}, getCenter = null } = {}) => {
+  let b = merge(DEFAULT_BINDINGS.pointer, bindings);
+  const center = getCenter || (() => ({ x: window.innerWidth / 2, y: window.innerHeight / 2 }));
+  const state = { yaw: 0, pitch: 0, tracking: false, jump: false };
+  const swipe = { startY: 0, active: false };
+
+  const aim = (e) => {
+    const c = center();
+    state.yaw = Math.atan2(e.clientX - c.x, b.yawScale) * (180 / Math.PI);
+    state.pitch = (e.clientY - c.y) / b.pitchScale;
+  };
+
+  const onDown = (e) => {
+    aim(e);
+    state.tracking = true;
+    swipe.startY = e.clientY;
+    swipe.active = true;
+  };
+  const onUp = (e) => {
+    state.tracking = false;
+    if (swipe.active && swipe.startY - e.clientY > b.swipeJump) state.jump = true;
+    swipe.active = false;
+  };
+
+  target.addEventListener('pointerdown', onDown);
+  target.addEventListener('pointerup', onUp);
+  target.addEventListener('pointermove', aim);
+
+  return {
+    read: () => {
+      const intent = { ...state };
+      state.jump = false;
+      return intent;
+    },
+    setBindings: (next) => { b = merge(b, next); },
+    dispose: () => {
+      target.removeEventListener('pointerdown', onDown);
+      target.removeEventListener('pointerup', onUp);
+      target.removeEventListener('pointermove', aim);
+    }
+  };
+};
+
+// --- KEYBOARD ---
+// Bindings are KeyboardEvent.code values, so they follow physical key positions.
+export const createKeyboardSource = ({ target = window, bindings = {}, walkYaw = WALK_YAW, runYaw = RUN_YAW, pitchRange = PITCH_RANGE } = {}) => {
+  let b = merge(DEFAULT_BINDINGS.keyboard, bindings);
+  const held = new Set();
+  let jumpQueued = false;
+
+  const isBound = (code) => Object.values(b).some((codes) => codes.includes(code));
+
+  const onDown = (e) => {
+    if (!isBound(e.code)) return;
+    e.preventDefault();
+    if (!e.repeat && b.jump.includes(e.code)) jumpQueued = true;
+    held.add(e.code);
+  };
+  const onUp = (e) => held.delete(e.code);
+  const onBlur = () => held.clear();
+
+  target.addEventListener('keydown', onDown);
+  target.addEventListener('keyup', onUp);
+  target.addEventListener('blur', onBlur);
+
+  return {
+    read: () => {
+      const dirX = (anyDown(b.right, held) ? 1 : 0) - (anyDown(b.left, held) ? 1 : 0);
+      const dirY = (anyDown(b.down, held) ? 1 : 0) - (anyDown(b.up, held) ? 1 : 0);
+      const run = anyDown(b.run, held);
+      const intent = {
+        yaw: dirX * (run ? runYaw : walkYaw),
+        pitch: dirY * pitchRange,
+        tracking: dirX !== 0 || dirY !== 0,
+        jump: jumpQueued
+      };
+      jumpQueued = false;
+      return intent;
+    },
+    setBindings: (next) => { b = merge(b, next); },
+    dispose: () => {
+      target.removeEventListener('keydown', onDown);
+      target.removeEventListener('keyup', onUp);
+      target.removeEventListener('blur', onBlur);
+    }
+  };
+};
+
+// --- GAMEPAD ---
+// Polled on read(); `index` picks the pad (the first connected one by default).
+export const createGamepadSource = ({ index = null, bindings = {}, walkYaw = WALK_YAW, runYaw = RUN_YAW, pitchRange = PITCH_RANGE } = {}) => {
+  let b = merge(DEFAULT_BINDINGS.gamepad, bindings);
+  let jumpWasDown = false;
+
+  const getPad = () => {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+    const pads = navigator.getGamepads();
+    if (index !== null) return pads[index] || null;
+    for (const pad of pads) if (pad && pad.connected) return pad;
+    return null;
+  };
+  const pressed = (pad, buttons) => buttons.some((i) => pad.buttons[i] && pad.buttons[i].pressed);
+  const axis = (pad, i) => {
+    const v = pad.axes[i] || 0;
+    return Math.abs(v) < b.deadzone ? 0 : (v - Math.sign(v) * b.deadzone) / (1 - b.deadzone);
+  };
+
+  return {
+    read: () => {
+      const pad = getPad();
+      if (!pad) { jumpWasDown = false; return { ...REST }; }
+      const x = axis(pad, b.axisX), y = axis(pad, b.axisY);
+      const jumpDown = pressed(pad, b.jump);
+      const intent = {
+        yaw: x * (pressed(pad, b.run) ? runYaw : walkYaw),
+        pitch: y * pitchRange,
+        tracking: x !== 0 || y !== 0,
+        jump: jumpDown && !jumpWasDown
+      };
+      jumpWasDown = jumpDown;
+      return intent;
+    },
+    setBindings: (next) => { b = merge(b, next); },
+    dispose: () => {}
+  };
+};
+
+// --- SCRIPTED ---
+// `script(now, puppet)` returns a partial intent (or null to rest). For AI / NPC steering,
+// cutscenes and tests.
+export const createScriptedSource = (script) => {
+  let puppet = null;
+  return {
+    attach: (p) => { puppet = p; },
+    read: (now) => ({ ...REST, ...(script(now, puppet) || {}) }),
+    setBindings: () => {},
+    dispose: () => {}
+  };
+};
+
+/**
+ * Drives one puppet from a prioritised list of sources. The first source that is
+ * tracking owns yaw and pitch; a jump from any source fires. Only changes are sent
+ * to the puppet, so recordings stay small.
+ */
+export const createController = (puppet, sources = []) => {
+  let list = sources.slice();
+  let last = null;
+  for (const source of list) if (source.attach) source.attach(puppet);
+
+  const update = (now = 0) => {
+    const intents = list.map((source) => source.read(now));
+    const active = intents.find((intent) => intent.tracking);
+    const pose = active
+      ? { yaw: active.yaw, pitch: active.pitch, tracking: true }
+      : { tracking: false };
+
+    if (!last || pose.tracking !== last.tracking || pose.yaw !== last.yaw || pose.pitch !== last.pitch) {
+      puppet.setPose(pose);
+      last = pose;
+    }
+    if (intents.some((intent) => intent.jump)) puppet.jump();
+  };
+
+  return {
+    update,
+    get sources() { return list.slice(); },
+    addSource: (source) => { if (source.attach) source.attach(puppet); list.push(source); },
+    removeSource: (source) => { list = list.filter((s) => s !== source); },
+    dispose: () => { for (const source of list) source.dispose(); list = []; }
+  };
+};
@@ -0,0 +1,172 @@
+/**
+ * Lathe.js // INSPECTOR
+ * Debug overlay and live tuning for actors. lathe.setDebugView(true) draws every
+ * puppet with its guides; lathe.tuneActor(key, { path: value }) edits an actor in
+ * place and lathe.exportActor(key) hands back the tuned JSON.
+ * * GUIDES:
+ * - Strip boundaries: one tick per source column where the renderer places it.
+ *   Columns culled behind the cylinder (z < -0.1) are red, the double-drawn front
+ *   ones (z > 0.45) bright.
+ * - Each segment's band as drawn, its pivot (the neck line for the classic rig) and
+ *   how it is chunked: whole columns, 1px or quality.chunk rows.
+ * - Attachment sockets as diamonds (hollow round the back), named with what is mounted.
+ * - State, clip time, body / head frame and heading yaw above the puppet.
+ * * TUNING:
+ * - actorTunables(json) lists an actor's slider-able numbers as { path, value, min, max, step }.
+ *   Paths are dotted: 'rMult.HEAD', 'segments.1.radius', 'sockets.hand.angle'.
+ */
+
+import { ACTOR_DEFAULTS } from './LatheActorSchema.js';
+
+// Slider ranges; a current value outside one widens it.
+export const TUNING_RANGES = {
+  bobAmplitude: { min: -8, max: 8, step: 0.5 },
+  widthScalar: { min: 0.2, max: 2, step: 0.01 },
+  slideScale: { min: -2, max: 2, step: 0.05 },
+  trackDamp: { min: 0.01, max: 1, step: 0.01 },
+  walkSpeed: { min: 0, max: 6, step: 0.1 },
+  runSpeed: { min: 0, max: 10, step: 0.1 },
+  kineticThreshold: { min: 0, max: 90, step: 1 },
+  sprintThreshold: { min: 0, max: 90, step: 1 },
+  profileCorrection: { min: 0, max: 60, step: 1 },
+  'rMult.HEAD': { min: 0.05, max: 1, step: 0.01 },
+  'rMult.BODY': { min: 0.05, max: 1, step: 0.01 },
+  'headSink.idle': { min: -10, max: 10, step: 0.5 },
+  'headSink.profile': { min: -10, max: 10, step: 0.5 },
+  'shave.idle': { min: 0, max: 8, step: 1 },
+  'shave.profile': { min: 0, max: 8, step: 1 }
+};
+
+const SEGMENT_RANGES = {
+  radius: { min: 0.05, max: 1, step: 0.01 },
+  taper: { min: 0, max: 1.5, step: 0.01 },
+  follow: { min: 0, max: 1.5, step: 0.01 },
+  lag: { min: 0.01, max: 1, step: 0.01 },
+  pitch: { min: 0, max: 2, step: 0.05 },
+  'sink.idle': { min: -10, max: 10, step: 0.5 },
+  'sink.profile': { min: -10, max: 10, step: 0.5 },
+  'shave.idle': { min: 0, max: 8, step: 1 },
+  'shave.profile': { min: 0, max: 8, step: 1 }
+};
+const SOCKET_RANGES = {
+  row: { min: -16, max: 64, step: 1 },
+  fromNeck: { min: -48, max: 32, step: 1 },
+  angle: { min: -180, max: 180, step: 5 },
+  out: { min: -4, max: 16, step: 0.5 }
+};
+// What an omitted segment field means (see LatheActorSchema's segment defaults)
+const SEGMENT_FALLBACK = { follow: 1, pitch: 0, taper: 0.6, 'sink.idle': 0, 'sink.profile': 0, 'shave.idle': 0, 'shave.profile': 0 };
+
+export const getPath = (obj, path) => path.split('.').reduce((v, key) => (v === undefined || v === null ? undefined : v[key]), obj);
+
+/**
+ * Copy of `obj` with `path` set to `value`; only the objects along the path are
+ * copied. Missing parents start from their value in `defaults`, else empty.
+ */
+export const setPath = (obj, path, value, defaults = {}) => {
+  const [key, ...rest] = path.split('.');
+  const copy = Array.isArray(obj) ? obj.slice() : { ...obj };
+  if (!rest.length) copy[key] = value;
+  else {
+    const child = copy[key] !== undefined ? copy[key] : defaults[key];
+    copy[key] = setPath(child || (/^\d+$/.test(rest[0]) ? [] : {}), rest.join('.'), value, (defaults[key] || {}));
+  }
+  return copy;
+};
+
+const tunable = (path, value, range) => ({
+  path, value,
+  min: Math.min(range.min, value), max: Math.max(range.max, value), step: range.step
+});
+
+// The numbers in an actor worth a slider, with their current values.
+export const actorTunables = (json) => {
+  const def = { ...ACTOR_DEFAULTS, ...json };
+  const list = [tunable('neckY', def.neckY, { min: 1, max: (def.h || def.neckY + 1) - 1, step: 1 })];
+  for (const path in TUNING_RANGES) {
+    // The classic rig's radii, sinks and trims mean nothing once segments are declared
+    if (def.segments && /^(rMult|headSink|shave)\./.test(path)) continue;
+    const value = getPath(def, path);
+    if (typeof value === 'number') list.push(tunable(path, value, TUNING_RANGES[path]));
+  }
+  (def.segments || []).forEach((seg, i) => {
+    for (const field in SEGMENT_RANGES) {
+      if (field === 'taper' && seg.profile !== 'cone' && seg.profile !== 'taper') continue;
+      if (field === 'lag' && seg.lag === undefined) continue;
+      const value = getPath(seg, field) !== undefined ? getPath(seg, field) : SEGMENT_FALLBACK[field];
+      if (typeof value === 'number') list.push(tunable(`segments.${i}.${field}`, value, SEGMENT_RANGES[field]));
+    }
+  });
+  for (const name in def.sockets || {}) {
+    for (const field in SOCKET_RANGES) {
+      const value = def.sockets[name][field] !== undefined ? def.sockets[name][field] : field === 'angle' || field === 'out' ? 0 : undefined;
+      if (typeof value === 'number') list.push(tunable(`sockets.${name}.${field}`, value, SOCKET_RANGES[field]));
+    }
+  }
+  return list;
+};
+
+export const chunkLabel = (chunk) => (chunk ? `${chunk}px` : 'column');
+
+/**
+ * Draws a puppet's guides (see puppet.inspect()) over the target. Guide geometry is
+ * in render-buffer px; (ox, oy) is where the buffer's origin lands and `scale`
+ * converts buffer px to target px.
+ */
+export const drawGuides = (ctx, info, ox, oy, scale) => {
+  const X = (x) => ox + x * scale, Y = (y) => oy + y * scale;
+  // Lines and text stay one screen px / 9px whatever zoom the target is drawn at
+  const t = ctx.getTransform ? ctx.getTransform() : null;
+  const px = t ? 1 / (Math.hypot(t.a, t.b) || 1) : 1;
+  let top = Infinity, left = Infinity;
+  ctx.save();
+  ctx.lineWidth = px;
+  ctx.font = `${9 * px}px monospace`;
+  ctx.textBaseline = 'bottom';
+  info.layers.forEach((layer, n) => {
+    const y0 = Y(layer.top), y1 = Y(layer.bottom);
+    top = Math.min(top, y0);
+    left = Math.min(left, X(layer.left));
+    // Strip boundaries, coloured by depth
+    for (let i = 0; i < layer.columns.length; i += 2) {
+      const x = X(layer.columns[i]), z = layer.columns[i + 1];
+      ctx.strokeStyle = z < -0.1 ? 'rgba(255,64,64,0.8)' : z > 0.45 ? 'rgba(120,255,255,0.55)' : 'rgba(120,255,255,0.25)';
+      ctx.beginPath();
+      ctx.moveTo(x, z < -0.1 ? y0 - 4 * px : y0);
+      ctx.lineTo(x, z < -0.1 ? y0 : y1);
+      ctx.stroke();
+    }
+    // Band edges and pivot
+    const hue = (90 + n * 97) % 360;
+    ctx.strokeStyle = `hsla(${hue},90%,60%,0.9)`;
+    ctx.strokeRect(X(layer.left), y0, X(layer.right) - X(layer.left), y1 - y0);
+    ctx.setLineDash([3 * px, 2 * px]);
+    ctx.strokeStyle = 'rgba(255,220,64,0.9)';
+    ctx.beginPath();
+    ctx.moveTo(X(layer.left) - 6 * px, Y(layer.pivot));
+    ctx.lineTo(X(layer.right) + 6 * px, Y(layer.pivot));
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = `hsla(${hue},90%,70%,1)`;
+    ctx.fillText(`${layer.name} ${chunkLabel(layer.chunk)} culled ${layer.culled}`, X(layer.right) + 8 * px, y1);
+    for (const socket of layer.sockets) {
+      const sx = X(socket.x), sy = Y(socket.y), r = 3 * px;
+      ctx.strokeStyle = ctx.fillStyle = 'rgba(255,120,220,0.95)';
+      ctx.beginPath();
+      ctx.moveTo(sx, sy - r); ctx.lineTo(sx + r, sy); ctx.lineTo(sx, sy + r); ctx.lineTo(sx - r, sy); ctx.closePath();
+      if (socket.z < 0) ctx.stroke(); else ctx.fill();
+      ctx.fillText(socket.mounted ? `${socket.name}: ${socket.mounted}` : socket.name, sx + r * 1.5, sy);
+    }
+  });
+  if (info.layers.length) {
+    const f = info.frames;
+    const lines = [
+      `${info.actor} ${info.state} ${Math.round(info.time)}ms${info.fade < 1 ? ` fade ${info.fade.toFixed(2)}` : ''}`,
+      `body ${f.body}${f.bodyName ? ` (${f.bodyName})` : ''} head ${f.head}${f.headName ? ` (${f.headName})` : ''}`,
+      `yaw ${info.yaw.toFixed(1)} pitch ${info.pitch.toFixed(2)}${info.airborne ? ' air' : ''}${info.profile ? ' profile' : ''}${info.flipped ? ' flip' : ''}`
+    ];
+    ctx.fillStyle = 'rgba(230,230,255,0.95)';
+    lines.forEach((line, i) => ctx.fillText(line, left, top - (4 + (lines.length - 1 - i) * 10) * px));
+  }
+  ctx.restore();
+};
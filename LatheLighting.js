@@ -0,0 +1,181 @@
+/**
+ * Lathe.js // LIGHTING
+ * Shades a layer's frame before it is wrapped: every pixel gets the surface
+ * normal of the column it lands on (cylinder, sphere or cone), optionally bent
+ * by a normal map, and is lit by ambient + directional / point lights + rim.
+ * Pixels keep their own alpha; shading never makes a puppet see-through.
+ * * SPEC (createLathe({ lighting }) / lathe.setLighting):
+ * - { ambient, lights: [light], rim }
+ * - directional: { type: 'directional', dir: [x, y, z], color, intensity }
+ *   `dir` points from the surface towards the light.
+ * - point: { type: 'point', pos: [x, y, z], color, intensity, range }
+ *   `pos` is in the coordinates render(ctx, x, y) draws in, z towards the viewer.
+ * - rim: { color, intensity, power } lights the silhouette; null for none.
+ * - Colours are '#rgb' / '#rrggbb', [r, g, b] in 0..1, or one grey level.
+ * * SPACE:
+ * - View space: x right, y down, z towards the viewer.
+ * - Normal maps use the sheet's layout; RGB encodes XYZ with green pointing up.
+ */
+
+// Reproduces the old look (0.5 + 0.5 z) with an opaque result
+export const DEFAULT_LIGHTING = {
+  ambient: 0.5,
+  lights: [{ type: 'directional', dir: [0, 0, 1], color: 1, intensity: 0.5 }],
+  rim: null
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const parseColor = (c, path) => {
+  if (isNum(c)) return [c, c, c];
+  if (Array.isArray(c) && c.length === 3 && c.every(isNum)) return c.slice();
+  if (typeof c === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(c)) {
+    const hex = c.length === 4 ? c.slice(1).split('').map((h) => h + h).join('') : c.slice(1);
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+  }
+  throw new Error(`Lathe lighting: ${path} must be a colour ('#rrggbb', [r, g, b] or a grey level)`);
+};
+
+const unit = (v, path) => {
+  if (!(Array.isArray(v) && v.length === 3 && v.every(isNum))) throw new Error(`Lathe lighting: ${path} must be [x, y, z]`);
+  const len = Math.hypot(v[0], v[1], v[2]);
+  if (!len) throw new Error(`Lathe lighting: ${path} must not be zero`);
+  return [v[0] / len, v[1] / len, v[2] / len];
+};
+
+// Validates a lighting spec and resolves colours / directions. Throws on bad input.
+export const compileLighting = (spec = DEFAULT_LIGHTING) => {
+  const def = { ...DEFAULT_LIGHTING, ...spec };
+  const lights = (def.lights || []).map((l, i) => {
+    const path = `lights[${i}]`;
+    const color = parseColor(l.color === undefined ? 1 : l.color, `${path}.color`);
+    const intensity = l.intensity === undefined ? 1 : l.intensity;
+    if (!isNum(intensity)) throw new Error(`Lathe lighting: ${path}.intensity must be a number`);
+    const rgb = color.map((c) => c * intensity);
+    if (l.type === 'directional') return { type: 'directional', dir: unit(l.dir, `${path}.dir`), rgb };
+    if (l.type === 'point') {
+      if (!(Array.isArray(l.pos) && l.pos.length === 3 && l.pos.every(isNum))) throw new Error(`Lathe lighting: ${path}.pos must be [x, y, z]`);
+      const range = l.range === undefined ? 200 : l.range;
+      if (!(isNum(range) && range > 0)) throw new Error(`Lathe lighting: ${path}.range must be a positive number`);
+      return { type: 'point', pos: l.pos.slice(), range, rgb };
+    }
+    throw new Error(`Lathe lighting: ${path}.type must be 'directional' or 'point'`);
+  });
+  let rim = null;
+  if (def.rim) {
+    const power = def.rim.power === undefined ? 2 : def.rim.power;
+    const intensity = def.rim.intensity === undefined ? 1 : def.rim.intensity;
+    if (!isNum(power) || !isNum(intensity)) throw new Error('Lathe lighting: rim.power and rim.intensity must be numbers');
+    rim = { rgb: parseColor(def.rim.color === undefined ? 1 : def.rim.color, 'rim.color').map((c) => c * intensity), power };
+  }
+  return { ambient: parseColor(def.ambient, 'ambient'), lights, rim };
+};
+
+export const LIGHT_DIR_STEP = Math.PI / 8;
+
+/**
+ * Point lights as seen from a layer centred on stage point (cx, cy), snapped to
+ * LIGHT_DIR_STEP in yaw and elevation and to half octaves of their range in distance,
+ * and moved so the centre is the origin. Returns { key, lighting }: frames shaded
+ * with `lighting` (toStage relative to the centre) look the same for every position
+ * with the same `key`, so a moving puppet reuses them.
+ */
+export const bucketLights = (lighting, cx, cy) => {
+  const buckets = [];
+  const lights = lighting.lights.map((light) => {
+    if (light.type !== 'point') return light;
+    const dx = light.pos[0] - cx, dy = light.pos[1] - cy, dz = light.pos[2];
+    const d = Math.hypot(dx, dy, dz) || 1;
+    const yaw = Math.round(Math.atan2(dx, dz) / LIGHT_DIR_STEP);
+    const pitch = Math.round(Math.asin(dy / d) / LIGHT_DIR_STEP);
+    const dist = Math.round(2 * Math.log2(d / light.range));
+    buckets.push(yaw, pitch, dist);
+    const r = light.range * 2 ** (dist / 2);
+    const across = r * Math.cos(pitch * LIGHT_DIR_STEP);
+    return { ...light, pos: [across * Math.sin(yaw * LIGHT_DIR_STEP), r * Math.sin(pitch * LIGHT_DIR_STEP), across * Math.cos(yaw * LIGHT_DIR_STEP)] };
+  });
+  return { key: buckets.join(' '), lighting: { ...lighting, lights } };
+};
+
+/**
+ * Writes the lit frame into `out` (ImageData sized frame.w × frame.h).
+ * - src / normals: RGBA of the frame rect from the sheet and the normal map (or null)
+ * - angles[i]: surface angle of cell column i (as the rasteriser computes it)
+ * - geo: { frame, cellW, cellH, yStart, yEnd, profile, slope, isFlipped, radius, toStage(i, row) }
+ *   slope: how far the surface tilts up per unit of outward normal (cones / tapers)
+ *   toStage: position of a cell column / row in render coordinates, for point lights
+ */
+export const shadeFrame = (out, src, normals, angles, geo, lighting) => {
+  const { frame, cellW, yStart, yEnd, profile, slope, isFlipped, radius, toStage } = geo;
+  const { ambient, lights, rim } = lighting;
+  const data = out.data;
+  const span = Math.max(1, yEnd - yStart);
+  const hasPoint = lights.some((l) => l.type === 'point');
+
+  for (let c = 0; c < frame.w; c++) {
+    const sourceXI = c + frame.ox;
+    const i = isFlipped ? cellW - 1 - sourceXI : sourceXI;
+    if (i < 0 || i >= cellW) continue;
+    const a = angles[i];
+    const sa = Math.sin(a), ca = Math.cos(a);
+
+    for (let r = 0; r < frame.h; r++) {
+      const p = (r * frame.w + c) * 4;
+      const alpha = src[p + 3];
+      if (alpha === 0) { data[p + 3] = 0; continue; }
+      const row = r + frame.oy;
+
+      // Surface normal from the profile
+      let nx = sa, ny = 0, nz = ca;
+      if (profile === 'sphere') {
+        const v = (((row + 0.5 - yStart) / span) - 0.5) * Math.PI * 0.75;
+        const cv = Math.cos(v);
+        nx = sa * cv; ny = Math.sin(v); nz = ca * cv;
+      } else if (slope) {
+        const len = Math.hypot(1, slope);
+        nx = sa / len; ny = -slope / len; nz = ca / len;
+      }
+
+      if (normals) {
+        // Tangent frame around the surface normal: t across the column, b down it
+        let mx = normals[p] / 127.5 - 1, my = normals[p + 1] / 127.5 - 1;
+        const mz = normals[p + 2] / 127.5 - 1;
+        if (isFlipped) mx = -mx;
+        my = -my; // green up in the map, y down on screen
+        const tx = ca, tz = -sa;
+        // b = n × t
+        const bx = ny * tz, by = nz * tx - nx * tz, bz = -ny * tx;
+        const x = mx * tx + my * bx + mz * nx;
+        const y = my * by + mz * ny;
+        const z = mx * tz + my * bz + mz * nz;
+        const len = Math.hypot(x, y, z) || 1;
+        nx = x / len; ny = y / len; nz = z / len;
+      }
+
+      let lr = ambient[0], lg = ambient[1], lb = ambient[2];
+      let sx = 0, sy = 0, sz = 0;
+      if (hasPoint) { [sx, sy] = toStage(i, row); sz = ca * radius; }
+      for (const light of lights) {
+        let dot, k = 1;
+        if (light.type === 'directional') {
+          dot = nx * light.dir[0] + ny * light.dir[1] + nz * light.dir[2];
+        } else {
+          const dx = light.pos[0] - sx, dy = light.pos[1] - sy, dz = light.pos[2] - sz;
+          const d = Math.hypot(dx, dy, dz) || 1;
+          dot = (nx * dx + ny * dy + nz * dz) / d;
+          k = 1 / (1 + (d / light.range) * (d / light.range));
+        }
+        if (dot <= 0) continue;
+        lr += light.rgb[0] * dot * k; lg += light.rgb[1] * dot * k; lb += light.rgb[2] * dot * k;
+      }
+
+      let rr = src[p] * lr, rg = src[p + 1] * lg, rb = src[p + 2] * lb;
+      if (rim) {
+        const edge = Math.pow(1 - Math.max(0, nz), rim.power) * 255;
+        rr += rim.rgb[0] * edge; rg += rim.rgb[1] * edge; rb += rim.rgb[2] * edge;
+      }
+      data[p] = rr; data[p + 1] = rg; data[p + 2] = rb; // Uint8ClampedArray clamps
+      data[p + 3] = alpha;
+    }
+  }
+};
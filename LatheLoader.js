@@ -0,0 +1,191 @@
+/**
+ * Lathe.js // LOADER
+ * Fetching and decoding for actor art: retries with backoff, timeouts, and every
+ * source an app is likely to hold. The renderer adds events, placeholders and
+ * lazy loading on top (see createLathe's `loading` option).
+ * * SOURCES:
+ * - URL strings (http(s), relative, `data:` and `blob:` URLs)
+ * - Blob / File, ArrayBuffer / typed arrays of encoded image bytes
+ * - Anything already drawable (Image, ImageBitmap, canvas) passes straight through
+ * * BUNDLES:
+ * - A bundle is one JSON file: { format: 'lathe-bundle', version: 1, actors, attachments, assets }.
+ *   `assets` maps the URLs the actors use to data URLs, so the same ACTORS table
+ *   runs offline once lathe.addBundle(bundle) has registered them.
+ * - packBundle(actors, { attachments }) builds one (in a build script or the browser).
+ */
+
+export const BUNDLE_FORMAT = 'lathe-bundle';
+
+export const LOADING_DEFAULTS = { retries: 2, retryDelay: 400, timeout: 15000, lazy: true, placeholder: true };
+
+/**
+ * The URL an atlas's `meta.image` names, as loading and packBundle key it: joined
+ * onto the atlas URL's directory as written (no page URL involved), so a bundle
+ * packed in Node serves the same keys the browser looks up.
+ */
+export const atlasImageURL = (image, atlasUrl = null) => {
+  if (!atlasUrl || atlasUrl.startsWith('data:') || /^[a-z][a-z\d+.-]*:|^\//i.test(image)) return image;
+  const path = atlasUrl.split(/[?#]/)[0];
+  return path.slice(0, path.lastIndexOf('/') + 1) + image;
+};
+
+const describe = (src) => typeof src === 'string'
+  ? (src.startsWith('data:') ? `${src.slice(0, 32)}...` : src)
+  : (src && src.constructor ? src.constructor.name : typeof src);
+
+const isBytes = (src) => src instanceof ArrayBuffer || ArrayBuffer.isView(src);
+const isBlob = (src) => typeof Blob !== 'undefined' && src instanceof Blob;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, what, onTimeout) => {
+  if (!ms) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (onTimeout) onTimeout();
+        reject(new Error(`Lathe: timed out after ${ms}ms loading ${what}`));
+      }, ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Runs `attempt()` up to 1 + retries times, waiting retryDelay, 2×, 4×... between
+ * tries. `onError(error, attempt, willRetry)` hears every failure.
+ */
+export const withRetries = async (attempt, { retries = 0, retryDelay = 0, onError = null } = {}) => {
+  for (let n = 1; ; n++) {
+    try {
+      return await attempt();
+    } catch (error) {
+      const willRetry = n <= retries;
+      if (onError) onError(error, n, willRetry);
+      if (!willRetry) throw error;
+      await sleep(retryDelay * 2 ** (n - 1));
+    }
+  }
+};
+
+const decodeBlob = async (blob, what) => {
+  if (typeof createImageBitmap === 'function') return createImageBitmap(blob);
+  const url = URL.createObjectURL(blob);
+  try { return await imageFromURL(url, what); }
+  finally { URL.revokeObjectURL(url); }
+};
+
+const imageFromURL = (url, what, onStart) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error(`Lathe: failed to load image ${what}`));
+  if (onStart) onStart(img);
+  img.src = url;
+});
+
+const fetchOK = async (url, what) => {
+  let res;
+  try { res = await fetch(url); }
+  catch (e) { throw new Error(`Lathe: failed to load ${what} (${e.message})`); }
+  if (!res.ok) throw new Error(`Lathe: failed to load ${what} (${res.status})`);
+  return res;
+};
+
+// One attempt at decoding an image from any supported source.
+export const loadImageSource = (src, { timeout = LOADING_DEFAULTS.timeout } = {}) => {
+  const what = describe(src);
+  if (src === null || src === undefined) return Promise.reject(new Error('Lathe: no image source'));
+  if (isBlob(src)) return withTimeout(decodeBlob(src, what), timeout, what);
+  if (isBytes(src)) return withTimeout(decodeBlob(new Blob([src]), what), timeout, what);
+  if (typeof src !== 'string') return Promise.resolve(src);
+  // Workers and Node have no Image: fetch the bytes and decode them instead
+  if (typeof Image === 'undefined') {
+    return withTimeout(fetchOK(src, `image ${what}`).then((res) => res.blob()).then((blob) => decodeBlob(blob, what)), timeout, what);
+  }
+  let pending = null;
+  return withTimeout(imageFromURL(src, what, (img) => { pending = img; }), timeout, what, () => { if (pending) pending.src = ''; });
+};
+
+// One attempt at reading JSON from a URL, Blob, bytes or an already-parsed object.
+export const loadJSONSource = async (src, { timeout = LOADING_DEFAULTS.timeout } = {}) => {
+  const what = describe(src);
+  if (isBlob(src)) return JSON.parse(await src.text());
+  if (isBytes(src)) return JSON.parse(new TextDecoder().decode(src));
+  if (typeof src !== 'string') return src;
+  return withTimeout(fetchOK(src, `JSON ${what}`).then((res) => res.json()), timeout, what);
+};
+
+/**
+ * Stand-in art for an actor whose sheet failed to load: one w×h cell with a
+ * neutral head-and-body silhouette, so the puppet keeps its place on screen.
+ */
+export const drawPlaceholder = ({ w = 32, h = 48, neckY = Math.round(h * 0.66) }, createCanvas) => {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  const bodyW = Math.max(2, Math.round(w * 0.6));
+  ctx.fillStyle = '#3a3a44';
+  ctx.fillRect(Math.round((w - bodyW) / 2), neckY, bodyW, h - neckY);
+  ctx.beginPath();
+  ctx.arc(w / 2, neckY / 2, Math.max(2, Math.min(w * 0.35, neckY / 2)), 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#8a8a99';
+  ctx.font = `${Math.max(6, Math.round(neckY * 0.5))}px monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('?', w / 2, neckY / 2);
+  return canvas;
+};
+
+export const isBundle = (json) => !!json && json.format === BUNDLE_FORMAT;
+
+// Validates a parsed bundle; returns { actors, attachments, assets }.
+export const readBundle = (json) => {
+  if (!isBundle(json)) throw new Error(`Lathe: not a bundle (expected format "${BUNDLE_FORMAT}")`);
+  if (json.version !== 1) throw new Error(`Lathe: unsupported bundle version ${json.version}`);
+  return { actors: json.actors || {}, attachments: json.attachments || {}, assets: json.assets || {} };
+};
+
+const blobToDataURL = async (blob) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return `data:${blob.type || 'application/octet-stream'};base64,${btoa(binary)}`;
+};
+
+// Text of a `data:` URL, base64 or percent-encoded.
+const dataURLText = (url) => {
+  const comma = url.indexOf(',');
+  const body = url.slice(comma + 1);
+  if (!/;base64$/i.test(url.slice(0, comma))) return decodeURIComponent(body);
+  return new TextDecoder().decode(Uint8Array.from(atob(body), (c) => c.charCodeAt(0)));
+};
+
+/**
+ * Packs actor and attachment definitions and every asset they reference (url,
+ * atlasUrl, atlas meta.image, normalMap, placeholder) into a bundle.
+ * `fetchAsset(url)` returns a Blob; the default uses fetch.
+ */
+export const packBundle = async (actors, { attachments = {}, fetchAsset = (url) => fetchOK(url, url).then((res) => res.blob()) } = {}) => {
+  const assets = {}, blobs = {};
+  const add = async (url) => {
+    if (!url || url.startsWith('data:') || url in assets) return;
+    blobs[url] = await fetchAsset(url);
+    assets[url] = await blobToDataURL(blobs[url]);
+  };
+  for (const key in actors) {
+    const def = actors[key];
+    for (const url of [def.url, def.atlasUrl, def.normalMap, def.placeholder]) await add(url);
+    if (def.url || !(def.atlas || def.atlasUrl)) continue;
+    // A data: atlas is inlined already, so it was not fetched; its image may not be
+    const atlas = def.atlas
+      || JSON.parse(def.atlasUrl.startsWith('data:') ? dataURLText(def.atlasUrl) : await blobs[def.atlasUrl].text());
+    if (atlas.meta && atlas.meta.image) await add(atlasImageURL(atlas.meta.image, def.atlas ? null : def.atlasUrl));
+  }
+  for (const key in attachments) await add(attachments[key].url);
+  return {
+    format: BUNDLE_FORMAT, version: 1,
+    actors: JSON.parse(JSON.stringify(actors)), attachments: JSON.parse(JSON.stringify(attachments)), assets
+  };
+};
@@ -0,0 +1,1768 @@
+/**
+ * Lathe.js // RENDERER
+ * Framework-free core of the vertical-strip puppet engine. No React, no DOM
+ * beyond a canvas factory, so puppets can live in any game loop or page.
+ * * USAGE:
+ * - const lathe = createLathe({ canvas, actors: ACTORS });
+ * - await lathe.loadActor('dude'); const dude = lathe.spawn('dude', { x: 0, z: 0 });
+ * - Per frame: lathe.step(elapsedMs); lathe.render(ctx, x, y);
+ *   step() runs fixed ticks of `stepMs`; render() interpolates between the last two.
+ * - World space: puppets walk along x (actor walkSpeed / runSpeed) over `ground`
+ *   (see LatheWorld.js), climbing at most STEP_UP px a tick (higher ground is a wall);
+ *   render() looks through lathe.camera, centred on (x, y) at REG.ZOOM.
+ * - lathe.camera.follow(dude, { deadzone: [48, 32], smoothing: 0.12 }) tracks a puppet.
+ * - lathe.startRecording() / stopRecording() capture input; playRecording(rec) replays it exactly.
+ * - lathe.snapshot() / restore(state) and puppet.snapshot() / restore(state) save and load typed
+ *   scene and puppet state for save games, undo and network sync (see LatheState.js).
+ * - dude.setPose({ yaw, pitch, tracking }) steers a puppet, dude.jump() launches it off the ground.
+ * - dude.state is its animation state; dude.play(state) / setParam(name, v) drive the machine,
+ *   lathe.on('footstep', ({ puppet }) => ...) hears its frame events.
+ * - lathe.registerActor(json) adds or replaces an actor definition at runtime (then loadActor it).
+ * - lathe.loadAll() loads every actor in parallel; 'loadprogress' / 'loaderror' / 'load' events report it.
+ *   Failed art falls back to placeholder art, unloaded actors load on first use, and
+ *   lathe.addBundle(json) serves a bundle's assets offline (see LatheLoader.js).
+ * - lathe.setDebugView(true) overlays strip, segment and neck guides plus state and frame
+ *   (see LatheInspector.js); puppet.inspect() returns what its last draw showed.
+ *   lathe.tuneActor(key, { 'rMult.HEAD': 0.4 }) retunes an actor live, exportActor(key) returns its JSON.
+ * - dude.attach('head-top', 'hat') mounts an attachment on one of the actor's sockets, per puppet
+ *   (createLathe({ attachments }) / lathe.registerAttachment; see LatheAttachments.js).
+ * - lathe.renderPose(ctx, x, y, { actor, state, yaw, pitch, time, py, motion, attachments }) draws a pose with no puppet (offline baking).
+ * - createLathe({ lighting }) / lathe.setLighting(spec) set ambient, directional / point and rim lights.
+ * - createLathe({ quality }) / lathe.setQuality(spec) set supersampling per target px and strip chunking;
+ *   { adaptive: true } lowers them while render() runs over budget. Each puppet draws through a
+ *   buffer sized to its actor's bounds, so big actors and high zoom neither clip nor blur.
+ * - lathe.resize(width, height, devicePixelRatio) sizes the lathe's canvas for HiDPI; call it on resize events.
+ * - lathe.dispose() releases bitmaps and buffers.
+ * * MEMORY LAYOUT:
+ * - RAM[0..PUPPET_BASE) holds scene globals addressed by REG.
+ * - Each puppet owns a PUPPET_STRIDE block starting at puppet.base, addressed by PREG.
+ * - The CLOCK_REGS of a block live at the same index in lathe.clocks, as JS numbers.
+ */
+
+import { resolveSheet, isFrameValid } from './LatheAtlas.js';
+import { compileActor, validateSheet, ACTOR_DEFAULTS, MAX_SEGMENTS } from './LatheActorSchema.js';
+import { createWebGLBackend } from './LatheWebGL.js';
+import { createFixedClock } from './LatheClock.js';
+import { pickAnim, clipPlaylist, clipCursor, eventsAt, pickTransition, MAX_PARAMS } from './LatheAnimator.js';
+import { DEFAULT_LIGHTING, compileLighting, shadeFrame, bucketLights } from './LatheLighting.js';
+import { FLAT_GROUND, followAxis, drawShadow } from './LatheWorld.js';
+import { dedupeOptions, dedupeSheet, foldSequences } from './LatheDedupe.js';
+import { drawGuides, setPath } from './LatheInspector.js';
+import { compileAttachment, imageFrame, mountLayer, socketPoint } from './LatheAttachments.js';
+import { LOADING_DEFAULTS, atlasImageURL, withRetries, loadImageSource, loadJSONSource, drawPlaceholder, readBundle } from './LatheLoader.js';
+import { STATE_VERSION, PUPPET_FIELDS, compactNumber } from './LatheState.js';
+
+// Scene globals
+export const REG = {
+  // RAM[0] is unused: the tick count is kept as a JS number, whole past Float32's 2^24
+  CAM_X: 1, CAM_Y: 2, ZOOM: 3, PUPPET_COUNT: 4,
+  // Camera follow: target puppet id + 1 (0 = none), deadzone half-sizes, share of the gap closed per tick
+  CAM_TARGET: 5, CAM_DEAD_X: 6, CAM_DEAD_Y: 7, CAM_SMOOTH: 8
+};
+
+// Per-puppet block offsets (RAM[puppet.base + PREG.*])
+export const PREG = {
+  P_ALIVE: 0, P_ACTOR: 1,
+  PX: 2, PY: 3, PZ: 4, PH_ROT: 5, PB_ROT: 6, P_PITCH: 7, P_CLOCK: 8,
+  P_TARGET_ROT: 9, P_TARGET_PITCH: 10,
+  P_VEL: 11, P_YVEL: 12, P_GND_Y: 13, P_LAST_LATERAL_DIR: 14,
+  // Last valid frame per part, drawn while the current one is not loaded
+  P_LATCH_FRAME_BODY: 15, P_LATCH_FRAME_HEAD: 16,
+  // 17..20 are unused (jump frames, initial sync and jump start before the animator)
+  P_IS_TOUCHING: 21,
+  P_LATCH_ROT_AIR: 22,
+  P_LATCH_PITCH_AIR: 23,
+  // Animation state machine: state index, ms in it, crossfade source, last clip step
+  P_ANIM_STATE: 24, P_ANIM_TIME: 25,
+  P_ANIM_FROM: 26, P_ANIM_FROM_TIME: 27, P_ANIM_FADE: 28, P_ANIM_FADE_MS: 29,
+  P_ANIM_STEP: 30,
+  // Yaw of each lagging rig segment, P_SEG_ROT + segment index (up to MAX_SEGMENTS)
+  P_SEG_ROT: 32,
+  // Declared animation params, P_ANIM_PARAM + index in machine.params (up to MAX_PARAMS)
+  P_ANIM_PARAM: 48
+};
+
+// Millisecond accumulators live in CLOCKS (a Float64Array addressed like RAM), not RAM:
+// in Float32 a 16.6ms step stops adding up exactly after a few hours.
+export const CLOCK_REGS = [PREG.P_CLOCK, PREG.P_ANIM_TIME, PREG.P_ANIM_FROM_TIME, PREG.P_ANIM_FADE, PREG.P_ANIM_STEP];
+
+export const PUPPET_BASE = 16;
+export const PUPPET_STRIDE = 64;
+
+export const FRAME_MS = 16.6;
+// Physics per FRAME_MS tick: velocities in px per tick, dampings as the fraction of
+// the gap closed per tick. Other steps scale them (see stepRate in createLathe).
+export const PHYSICS = {
+  jumpVelocity: -15, gravity: 0.8, walkEase: 0.2,
+  damp: 0.28, releaseDamp: 0.5, airDamp: 0.15, bodyDamp: 0.22
+};
+
+// Height change over one step of `stepRate` FRAME_MS ticks for an airborne puppet moving
+// at `vy`: the arc a FRAME_MS tick traces, sampled at this step, so exact for any stepMs.
+export const fallDistance = (vy, stepRate) => vy * stepRate + PHYSICS.gravity * stepRate * (stepRate - 1) / 2;
+const PITCH_LIMIT = 1.1;
+// Lit frames kept for reuse, and the yaw step (radians) they are shaded at
+const LIT_CACHE_SIZE = 256;
+const LIT_YAW_STEP = Math.PI / 360;
+// Drops (px) a walking puppet steps down instead of falling, and the most ground rises
+// under its feet in one tick; anything higher stops it like a wall
+const STEP_DOWN = 10;
+const STEP_UP = 10;
+
+export const defaultCreateCanvas = (w, h) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(w, h);
+  const c = document.createElement('canvas');
+  c.width = w; c.height = h;
+  return c;
+};
+
+// Where a state's clip is after `stateTime` ms, facing `dirRot`.
+const clipFrameAt = (config, sheet, stateIdx, stateTime, dirRot) => {
+  const clip = config.machine.states[stateIdx].clip;
+  const name = pickAnim(clip, sheet.anims, config, dirRot);
+  const seq = sheet.anims[name];
+  const playlist = clipPlaylist(clip, seq, sheet.frames, config.msWalk, sheet.holds && sheet.holds[name]);
+  const cursor = clipCursor(playlist, clip.loop, stateTime);
+  return { clip, seq, playlist, cursor, seqIdx: playlist[cursor.entry].seqIdx };
+};
+
+// Surface angle of cell column `i`: spheres bulge their middle columns outwards.
+// Shared by the rasteriser and the lighting, so shading follows the wrap exactly.
+const columnAngle = (i, cellW, arc, rotRad, isSphere) => {
+  const normI = (i / cellW) - 0.5;
+  const sphereBulge = isSphere ? (Math.cos(normI * Math.PI) * 0.15) : 0;
+  return (normI + (normI * sphereBulge)) * arc + rotRad;
+};
+
+// Rows per strip piece: 0 draws each column whole, 1 / chunkRows slice it to bend (pitch, breathing, taper).
+const stripChunk = ({ useSmartStrip, isAccordionActive, taperTop, chunkRows }) =>
+  useSmartStrip && !isAccordionActive && taperTop === 1 ? 0 : isAccordionActive ? 1 : chunkRows;
+
+// --- RENDER QUALITY ---
+// `ssaa` is render-buffer px per target px (the target context's transform included, so
+// zoom and devicePixelRatio stay sharp); `chunk` is the rows per bent strip piece.
+// `adaptive` lets render() trade both for speed when it takes longer than `targetMs`,
+// down to `minSsaa`. `maxBuffer` caps the render buffer's side in px.
+export const QUALITY_DEFAULTS = { ssaa: 1, chunk: 4, adaptive: false, minSsaa: 0.5, targetMs: 6, maxBuffer: 2048 };
+// Frames between adaptive quality changes
+const ADAPT_FRAMES = 30;
+
+// Validates a quality spec over QUALITY_DEFAULTS. Throws.
+const compileQuality = (spec) => {
+  const q = { ...QUALITY_DEFAULTS, ...spec };
+  const fail = (message) => { throw new Error(`Lathe: invalid quality: ${message}`); };
+  for (const key of ['ssaa', 'minSsaa', 'targetMs', 'maxBuffer']) {
+    if (!(typeof q[key] === 'number' && q[key] > 0)) fail(`${key} must be a positive number`);
+  }
+  if (!(Number.isInteger(q.chunk) && q.chunk >= 1 && q.chunk <= 16)) fail('chunk must be a whole number of rows, 1 to 16');
+  if (q.minSsaa > q.ssaa) fail('minSsaa must not exceed ssaa');
+  return { ...q, adaptive: !!q.adaptive };
+};
+
+// Adaptive quality steps, best first: supersampling drops 0.25 at a time down to
+// minSsaa, then bent strips are cut in chunks twice as tall.
+const qualityLadder = ({ ssaa, minSsaa, chunk }) => {
+  const steps = [];
+  for (let s = ssaa; s > minSsaa; s -= 0.25) steps.push({ ssaa: s, chunk });
+  steps.push({ ssaa: minSsaa, chunk }, { ssaa: minSsaa, chunk: Math.min(16, chunk * 2) });
+  return steps;
+};
+
+// Target px per stage px under the context's current transform.
+const targetScale = (ctx) => {
+  const t = ctx.getTransform ? ctx.getTransform() : null;
+  return t ? Math.max(Math.hypot(t.a, t.b), Math.hypot(t.c, t.d)) || 1 : 1;
+};
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+// Half extents (stage px) of the box a puppet can draw in round its anchor: the widest
+// segment plus slide, pitch sink / roll / tilt, bob, sinks and whatever is mounted.
+const stageBounds = (config, mounted) => {
+  const bodyH = config.h * 0.94 * 4.2;
+  let radius = 0, sink = 0, pitch = 0;
+  for (const seg of config.segments) {
+    radius = Math.max(radius, config.w * seg.radius * config.widthScalar * 4.2);
+    sink = Math.max(sink, Math.abs(seg.sink.idle), Math.abs(seg.sink.profile));
+    pitch = Math.max(pitch, Math.abs(seg.pitch || 0));
+  }
+  const tilt = pitch * PITCH_LIMIT;
+  let mount = 0;
+  for (const m of mounted) {
+    const { width, height } = m.sheet.bitmap;
+    mount = Math.max(mount, (Math.max(width, height) * m.attachment.scale + Math.abs(m.socket.out)) * bodyH / config.h);
+  }
+  return {
+    halfW: radius + Math.abs(config.slideScale) + tilt * 0.14 * bodyH + mount + 4,
+    halfH: bodyH / 2 + sink + tilt * (8 + 10.5) + Math.max(Math.abs(config.bobAmplitude), 1.5) + mount + 4
+  };
+};
+
+// What the inspector shows of a drawn layer, in render-buffer px. `columns` holds
+// [x, z] per source column, culled ones included, and is only filled when asked;
+// drawPuppet adds the segment's `sockets`.
+const layerGuide = (layer, withColumns) => {
+  const { cellW, cellH, arc, rotRad, radConst, centerX, profile, edgeSkip, yStart, yEnd, dyBase, currentH } = layer;
+  const columns = [];
+  let culled = 0;
+  if (withColumns) {
+    const isSphere = profile === 'sphere';
+    for (let i = edgeSkip; i < cellW - edgeSkip; i++) {
+      const angle = columnAngle(i, cellW, arc, rotRad, isSphere);
+      const z = Math.cos(angle);
+      if (z < -0.1) culled++;
+      columns.push(centerX + Math.sin(angle) * radConst * (isSphere ? 0.86 + z * 0.14 : 1), z);
+    }
+  }
+  return {
+    name: layer.layerType, chunk: stripChunk(layer), columns, culled, sockets: [],
+    top: dyBase + (yStart / cellH) * currentH, bottom: dyBase + (yEnd / cellH) * currentH,
+    left: centerX - radConst, right: centerX + radConst, pivot: layer.neckAnchor
+  };
+};
+
+// --- CANVAS2D STRIP RASTERISER ---
+// Draws one layer as 1px source columns wrapped around the cylinder. `layer` is the
+// descriptor built by renderPass; the WebGL backend consumes the same one.
+const drawStrips2D = (rbufCtx, bitmap, layer) => {
+  const {
+    frame, cellW, cellH, arc, rotRad, radConst, centerX, isFlipped,
+    profile, taperTop, edgeSkip,
+    pitchRot, neckAnchor, pitchConst, isAccordionActive,
+    yStart, yEnd, dyBase, currentH, time, ssaa, alpha
+  } = layer;
+  const vHeight = yEnd - yStart;
+  // Trimmed frames only cover part of the cell
+  const frameTop = frame.oy, frameBot = frame.oy + frame.h;
+  const isSphere = profile === 'sphere';
+  const isTapered = taperTop !== 1;
+  const chunk = stripChunk(layer);
+
+  for (let i = 0; i < cellW; i++) {
+    
+    if (i < edgeSkip || i >= cellW - edgeSkip) continue;
+
+    const angle = columnAngle(i, cellW, arc, rotRad, isSphere);
+    const z = Math.cos(angle);
+    if (z < -0.1) continue; 
+    
+    const rDamp = isSphere ? (0.86 + (z * 0.14)) : 1.0;
+    const nextAngle = angle + arc / cellW;
+    // Column position at a given radius (cones and tapers vary it per row)
+    const columnAt = (radius) => {
+      const x0 = Math.round(centerX + Math.sin(angle) * radius * rDamp);
+      const x1 = Math.round(centerX + Math.sin(nextAngle) * radius * rDamp);
+      return [x0, Math.ceil(Math.abs(x1 - x0) + 1.2)];
+    };
+    let [dx, stripW] = columnAt(radConst);
+
+    const sourceXI = isFlipped ? (cellW - 1 - i) : i;
+    const srcCol = sourceXI - frame.ox;
+    if (srcCol < 0 || srcCol >= frame.w) continue;
+    const srcX = frame.x + srcCol;
+    
+    rbufCtx.save();
+    if (pitchRot !== 0) {
+       rbufCtx.translate(dx, neckAnchor); 
+       rbufCtx.rotate(pitchRot); 
+       rbufCtx.translate(-dx, -neckAnchor);
+    }
+    
+    // Shading is already in the bitmap (LatheLighting.js); alpha is only true transparency
+    rbufCtx.globalAlpha = alpha;
+
+    if (chunk === 0) {
+        const rowA = Math.max(yStart, frameTop), rowB = Math.min(yEnd, frameBot);
+        if (rowB > rowA) {
+          const yTop = dyBase + (rowA / cellH) * currentH;
+          const yBot = dyBase + (rowB / cellH) * currentH;
+          const drawH = yBot - yTop;
+          const srcY = frame.y + rowA - frame.oy;
+          
+          if (z > 0.45) rbufCtx.drawImage(bitmap, srcX, srcY, 1, rowB - rowA, dx + 0.6, yTop, stripW, drawH);
+          rbufCtx.drawImage(bitmap, srcX, srcY, 1, rowB - rowA, dx, yTop, stripW, drawH);
+        }
+    } else {
+        for (let s = 0; s < vHeight; s += chunk) {
+          const rowA = Math.max(yStart + s, frameTop);
+          const rowB = Math.min(yStart + s + Math.min(chunk, vHeight - s), frameBot);
+          if (rowB <= rowA) continue;
+          const actualChunkH = rowB - rowA;
+          const curY = rowA;
+          if (isTapered) {
+              // Radius runs from taperTop × radius at the top row to the full radius at the bottom
+              const along = (curY + actualChunkH / 2 - yStart) / vHeight;
+              [dx, stripW] = columnAt(radConst * (taperTop + (1 - taperTop) * along));
+          }
+          
+          const relS = curY - yStart;
+          const sliceNormY = (relS / vHeight) - 0.5;
+          const roll = (Math.sin(sliceNormY * Math.PI) * pitchConst);
+          
+          let accOffset = 0;
+          if (isAccordionActive) {
+              const normY = relS / vHeight;
+              const mask = Math.sin(normY * Math.PI);
+              const wave = Math.sin((time * 0.002) + (curY * 0.15));
+              accOffset = wave * mask * 0.5 * ssaa;
+          }
+
+          const yCurrent = dyBase + (curY / cellH) * currentH + roll + accOffset;
+          
+          const endY = curY + actualChunkH;
+          const relSEnd = endY - yStart;
+          const sliceNormYEnd = (relSEnd / vHeight) - 0.5;
+          const rollEnd = (Math.sin(sliceNormYEnd * Math.PI) * pitchConst);
+          
+          let accOffsetNext = 0;
+          if (isAccordionActive) {
+              const normY = relSEnd / vHeight;
+              const mask = Math.sin(normY * Math.PI);
+              const wave = Math.sin((time * 0.002) + (endY * 0.15));
+              accOffsetNext = wave * mask * 0.5 * ssaa;
+          }
+
+          const yNext = dyBase + (endY / cellH) * currentH + rollEnd + accOffsetNext;
+          const drawH = Math.max(1, Math.ceil(yNext - yCurrent + 1.0));
+          
+          const srcY = frame.y + curY - frame.oy;
+          
+          if (z > 0.45) rbufCtx.drawImage(bitmap, srcX, srcY, 1, actualChunkH, dx + 0.6, yCurrent, stripW, drawH);
+          rbufCtx.drawImage(bitmap, srcX, srcY, 1, actualChunkH, dx, yCurrent, stripW, drawH);
+        }
+    }
+    rbufCtx.restore();
+  }
+};
+
+export const createCanvasBackend = (createCanvas, width, height) => {
+  const buffer = createCanvas(width, height);
+  const bufCtx = buffer.getContext('2d');
+  bufCtx.imageSmoothingEnabled = false;
+  return {
+    name: 'canvas2d',
+    canvas: buffer,
+    // Clears the top-left width × height px the next draw uses
+    begin: (width = buffer.width, height = buffer.height) => bufCtx.clearRect(0, 0, width, height),
+    resize: (width, height) => {
+      buffer.width = width; buffer.height = height;
+      bufCtx.imageSmoothingEnabled = false;
+    },
+    drawLayer: (bitmap, layer) => drawStrips2D(bufCtx, bitmap, layer),
+    release: (bitmap) => {},
+    dispose: () => { buffer.width = 0; buffer.height = 0; }
+  };
+};
+
+// `backend` is 'canvas2d' (default) or 'webgl'; WebGL falls back to Canvas2D where WebGL2 is unavailable
+// or its shaders fail, calling `onFallback(reason)` (lathe.backend names the one in use).
+// `stepMs` is the fixed simulation step; PHYSICS is scaled to it, so game speed and jump height hold.
+// `lighting` is a LatheLighting spec; DEFAULT_LIGHTING keeps the classic front-lit look.
+// `ground` is x => height (see LatheWorld.js); `shadows` is true, false or drawShadow options ({ opacity }).
+// `loading` overrides LOADING_DEFAULTS: { retries, retryDelay, timeout, lazy, placeholder }.
+// `attachments` is a table of attachment definitions (see LatheAttachments.js).
+// `quality` overrides QUALITY_DEFAULTS: { ssaa, chunk, adaptive, minSsaa, targetMs, maxBuffer }.
+export const createLathe = ({
+  canvas = null, actors, createCanvas = defaultCreateCanvas, zoom = 2.8, maxPuppets = 64,
+  backend: backendName = 'canvas2d', stepMs = FRAME_MS, lighting: lightingSpec = DEFAULT_LIGHTING,
+  ground: groundFn = FLAT_GROUND, shadows = true, loading = {}, attachments = {}, quality: qualitySpec = {},
+  onFallback = null
+} = {}) => {
+  // Compiled runtime configs; the caller's table is never mutated
+  const ACTORS = {};
+  // The JSON each config was compiled from, as tuned (exportActor)
+  const SOURCES = {};
+  const actorKeys = [];
+  // One spare block after the puppets is scratch state for renderPose
+  const SCRATCH = PUPPET_BASE + maxPuppets * PUPPET_STRIDE;
+  const RAM = new Float32Array(SCRATCH + PUPPET_STRIDE);
+  // RAM as it was before the latest tick, for render interpolation
+  const PREV = new Float32Array(RAM.length);
+  // The CLOCK_REGS slots of every block, as JS numbers; the rest is unused
+  const CLOCKS = new Float64Array(RAM.length);
+  const PREV_CLOCKS = new Float64Array(RAM.length);
+  const clearRAM = (from, to) => { RAM.fill(0, from, to); CLOCKS.fill(0, from, to); };
+  const storeOf = (reg) => (CLOCK_REGS.includes(reg) ? CLOCKS : RAM);
+  const clock = createFixedClock({ stepMs });
+  // PHYSICS is tuned per FRAME_MS tick: moves scale by the step, eases compound over it
+  const stepRate = stepMs / FRAME_MS;
+  const ease = (d) => (stepRate === 1 ? d : 1 - Math.pow(1 - d, stepRate));
+  let recording = null, replay = null;
+  // Ticks run since creation (or as restored); stamps recordings and states
+  let ticks = 0;
+  // Manually ticked engines (step() with no dt) render the latest tick as is
+  let interpolate = false;
+  const renderAlpha = () => interpolate ? clock.alpha : 1;
+  const puppets = new Array(maxPuppets).fill(null);
+  const sheets = {};
+  let quality = compileQuality(qualitySpec);
+  // Adaptive quality: the ladder step render() draws at, and its moving average cost
+  let ladder = qualityLadder(quality), rung = 0, renderMs = 0, renderFrames = 0;
+  let ground = groundFn;
+  const shadowStyle = shadows === true ? {} : shadows || null;
+  const defaultCtx = canvas ? canvas.getContext('2d', { alpha: false }) : null;
+  let debugView = false;
+  // Last draw of each puppet block (puppet.inspect())
+  const inspections = {};
+
+  // Render Buffer (owned by the backend); grows to the largest puppet drawn so far
+  const backend = (backendName === 'webgl' && createWebGLBackend(createCanvas, 256, 256, onFallback))
+    || createCanvasBackend(createCanvas, 256, 256);
+  const renderBuffer = backend.canvas;
+
+  // Analysis Buffer (frame pixel reads)
+  const analysisBuffer = createCanvas(1, 1);
+  const aCtx = analysisBuffer.getContext('2d', { willReadFrequently: true });
+
+  // Lit frames (each layer's shaded frame, drawn from instead of the sheet), cached by
+  // what the shading depends on; oldest first, so the first entry is the next evicted
+  const litCache = new Map();
+  const sheetIds = new WeakMap();
+  let nextSheetId = 0;
+  let litAngles = new Float32Array(0);
+  let lighting = compileLighting(lightingSpec);
+
+  RAM[REG.ZOOM] = zoom;
+
+  const releaseSheet = (key) => {
+    const sheet = sheets[key];
+    if (!sheet) return;
+    dropLit(sheet);
+    backend.release(sheet.bitmap);
+    if (sheet.bitmap.close) sheet.bitmap.close();
+    if (sheet.normals && sheet.normals.close) sheet.normals.close();
+    delete sheets[key];
+  };
+
+  // Validates a JSON actor and makes it available to loadActor/spawn. Throws LatheActorError.
+  const registerActor = (json, key = json && json.id) => {
+    if (!key) throw new Error('Lathe: registerActor needs an actor "id"');
+    ACTORS[key] = compileActor(json, key);
+    SOURCES[key] = json;
+    if (!actorKeys.includes(key)) actorKeys.push(key);
+    // A replaced definition needs its sheet reloaded
+    releaseSheet(key);
+    return key;
+  };
+
+  for (const key in actors) registerActor(actors[key], key);
+
+  // Live tuning: sets dotted paths ({ 'rMult.HEAD': 0.4, sprintThreshold: 50 }) on the actor's
+  // JSON and recompiles it, keeping its sheet. Throws LatheActorError and keeps the old config
+  // when the result is invalid. Not an input: recordings replay with whatever is tuned then.
+  const tuneActor = (key, values) => {
+    if (!ACTORS[key]) throw new Error(`Lathe: unknown actor "${key}"`);
+    let json = SOURCES[key];
+    for (const path in values) json = setPath(json, path, values[path], ACTOR_DEFAULTS);
+    const config = compileActor(json, key);
+    const sheet = sheets[key];
+    if (sheet) {
+      if (!config.w) config.w = sheet.w;
+      if (!config.h) config.h = sheet.h;
+      if (!sheet.placeholder) validateSheet(config, sheet);
+    }
+    ACTORS[key] = config;
+    SOURCES[key] = json;
+    return config;
+  };
+
+  // The actor's JSON as tuned, ready to save (strategies given as functions are dropped).
+  const exportActor = (key) => {
+    if (!SOURCES[key]) throw new Error(`Lathe: unknown actor "${key}"`);
+    return JSON.parse(JSON.stringify(SOURCES[key]));
+  };
+
+  // --- AUTO-DEDUPLICATION LOGIC ---
+  // Folds look-alike frames sheet-wide (see LatheDedupe.js). The actor's anims are left
+  // as written; the sheet gets the folded sequences and the holds that keep their timing.
+  // `url` is where the art came from, when a URL: reloads of it skip reading its pixels.
+  const deduplicate = async (config, sheet, url) => {
+    const { tolerance, holds } = dedupeOptions(config.deduplicate);
+    const canonical = await dedupeSheet({ bitmap: sheet.bitmap, frames: sheet.frames, w: config.w, h: config.h, tolerance, createCanvas, url });
+    sheet.sourceAnims = sheet.anims;
+    Object.assign(sheet, foldSequences(sheet.anims, canonical, { holds }));
+  };
+
+  // --- LOADING ---
+  const loadOpts = { ...LOADING_DEFAULTS, ...loading };
+  // Bundled sources by the URL they stand in for (addBundle)
+  const assets = new Map();
+  // Loads in flight, and actors whose last load failed outright (not retried lazily)
+  const pending = {};
+  const failedKeys = new Set();
+
+  // Loading events go to their own listeners only; '*' stays for animation events.
+  const emit = (event, e) => { for (const fn of (listeners[event] || []).slice()) fn(e); };
+
+  // One asset with retries. Every failed attempt is reported as 'loaderror'.
+  const fetchAsset = (key, ref, kind) => {
+    const src = typeof ref === 'string' && assets.has(ref) ? assets.get(ref) : ref;
+    const load = kind === 'json' ? loadJSONSource : loadImageSource;
+    return withRetries(() => load(src, loadOpts), {
+      retries: loadOpts.retries,
+      retryDelay: loadOpts.retryDelay,
+      onError: (error, attempt, willRetry) => emit('loaderror', { key, url: typeof ref === 'string' ? ref : null, error, attempt, willRetry })
+    });
+  };
+
+  // node-canvas has no createImageBitmap; its images draw as they are
+  const toBitmap = (img) => typeof createImageBitmap === 'function' && !(typeof ImageBitmap !== 'undefined' && img instanceof ImageBitmap) ? createImageBitmap(img) : img;
+
+  // Network stage: the atlas, sheet and normal map, as decoded images.
+  const fetchSheetAssets = async (key, config, source, atlas, normalSource) => {
+    const atlasJSON = atlas || config.atlas || (config.atlasUrl ? await fetchAsset(key, config.atlasUrl, 'json') : null);
+    let url = config.url;
+    if (!url && atlasJSON && atlasJSON.meta && atlasJSON.meta.image) {
+      url = atlasImageURL(atlasJSON.meta.image, atlas || config.atlas ? null : config.atlasUrl);
+    }
+    const ref = source || url;
+    const [img, normalImg] = await Promise.all([
+      fetchAsset(key, ref, 'image'),
+      // A missing normal map costs the actor its surface detail, not its art
+      normalSource || config.normalMap ? fetchAsset(key, normalSource || config.normalMap, 'image').catch(() => null) : null
+    ]);
+    return {
+      atlasJSON, bmp: await toBitmap(img), normals: normalImg ? await toBitmap(normalImg) : null,
+      url: typeof ref === 'string' ? ref : null
+    };
+  };
+
+  // Stand-in sheet for art that would not load: the actor's `placeholder` image or a
+  // drawn silhouette, one cell that every anim plays.
+  const placeholderSheet = async (key, config, error) => {
+    const art = config.placeholder ? await fetchAsset(key, config.placeholder, 'image').catch(() => null) : null;
+    const bitmap = art ? await toBitmap(art) : drawPlaceholder({ w: config.w || undefined, h: config.h || undefined, neckY: config.neckY }, createCanvas);
+    if (!config.w) config.w = bitmap.width;
+    if (!config.h) config.h = bitmap.height;
+    const anims = { IDLE: [0] };
+    for (const name in config.anims || {}) anims[name] = [0];
+    return {
+      bitmap, anims, w: config.w, h: config.h, normals: null, pixels: new Map(), normalPixels: new Map(),
+      frames: [{ name: null, x: 0, y: 0, w: Math.min(config.w, bitmap.width), h: Math.min(config.h, bitmap.height), ox: 0, oy: 0, duration: 0 }],
+      placeholder: true, error
+    };
+  };
+
+  // Loads the actor's sheet and frame table. `source` (URL, Blob, bytes or image) and `atlas`
+  // (parsed JSON) override `config.url` / `config.atlas` / `config.atlasUrl`, e.g. for headless
+  // use; `normalSource` likewise overrides `config.normalMap`. When the art cannot be fetched the
+  // actor gets placeholder art (sheet.placeholder); a sheet that contradicts its actor throws.
+  // Concurrent calls for one actor share the first call's load.
+  async function loadActor(key, source = null, atlas = null, normalSource = null) {
+    const config = ACTORS[key];
+    if (!config) throw new Error(`Lathe: unknown actor "${key}"`);
+    if (pending[key]) return pending[key];
+
+    const job = (async () => {
+      let fetched;
+      try {
+        fetched = await fetchSheetAssets(key, config, source, atlas, normalSource);
+      } catch (error) {
+        if (!loadOpts.placeholder) throw error;
+        return placeholderSheet(key, config, error);
+      }
+      const { atlasJSON, bmp, normals, url } = fetched;
+      try {
+        const sheet = resolveSheet(config, bmp, atlasJSON);
+        sheet.normals = normals;
+        if (normals && (normals.width !== bmp.width || normals.height !== bmp.height)) {
+          throw new Error(`Lathe: normal map for "${key}" is ${normals.width}x${normals.height}, its sheet ${bmp.width}x${bmp.height}`);
+        }
+        // RGBA per frame index, read on first use by the lighting
+        sheet.pixels = new Map();
+        sheet.normalPixels = new Map();
+        // Atlas actors may leave the cell size to the atlas
+        if (!config.w) config.w = sheet.w;
+        if (!config.h) config.h = sheet.h;
+        validateSheet(config, sheet);
+        if (config.deduplicate) await deduplicate(config, sheet, url);
+        return sheet;
+      } catch (error) {
+        emit('loaderror', { key, url: null, error, attempt: 1, willRetry: false });
+        throw error;
+      }
+    })();
+
+    pending[key] = job;
+    try {
+      const sheet = await job;
+      releaseSheet(key);
+      sheets[key] = sheet;
+      failedKeys.delete(key);
+      emit('load', { key, sheet, placeholder: !!sheet.placeholder, error: sheet.error || null });
+      return sheet;
+    } catch (error) {
+      failedKeys.add(key);
+      throw error;
+    } finally {
+      delete pending[key];
+    }
+  }
+
+  // Loads several actors in parallel (every registered one by default). Never rejects:
+  // resolves { loaded: [key], failed: [{ key, error }] } once all have settled, emitting
+  // 'loadprogress' { key, loaded, total } as each one does. Placeholders count as failed.
+  const loadAll = async (keys = actorKeys.slice()) => {
+    const loaded = [], failed = [];
+    let done = 0;
+    await Promise.all(keys.map((key) => loadActor(key)
+      .then((sheet) => { if (sheet.placeholder) failed.push({ key, error: sheet.error }); else loaded.push(key); })
+      .catch((error) => { failed.push({ key, error }); })
+      .then(() => emit('loadprogress', { key, loaded: ++done, total: keys.length }))));
+    return { loaded, failed };
+  };
+
+  // First use of an actor with no sheet starts its load in the background.
+  const ensureLoaded = (key) => {
+    if (!loadOpts.lazy || sheets[key] || pending[key] || failedKeys.has(key) || !ACTORS[key]) return;
+    loadActor(key).catch(() => {});
+  };
+
+  // Registers a bundle's actors and attachments and serves its assets in place of the URLs
+  // they were packed from. Returns the actor keys.
+  const addBundle = (json) => {
+    const { actors: defs, attachments: items, assets: files } = readBundle(json);
+    for (const url in files) assets.set(url, files[url]);
+    for (const key in defs) registerActor(defs[key], key);
+    for (const key in items) registerAttachment(items[key], key);
+    return Object.keys(defs);
+  };
+
+  // --- ATTACHMENTS ---
+  const ATTACHMENTS = {};
+  // Decoded attachment images as one-frame sheets (the lighting reads them like actor sheets)
+  const attachmentSheets = {};
+  // Each attachment's load, settled or not; a failed one is not retried until re-registered
+  const attachmentLoads = {};
+  // Attachment key per socket name, per puppet block (puppet.attach)
+  const mounts = {};
+
+  const releaseAttachment = (key) => {
+    const sheet = attachmentSheets[key];
+    if (!sheet) return;
+    dropLit(sheet);
+    backend.release(sheet.bitmap);
+    if (sheet.bitmap.close) sheet.bitmap.close();
+    delete attachmentSheets[key];
+  };
+
+  // Validates an attachment definition and makes it mountable. Throws.
+  const registerAttachment = (def, key = def && def.id) => {
+    if (!key) throw new Error('Lathe: registerAttachment needs an attachment "id"');
+    ATTACHMENTS[key] = compileAttachment(def, key);
+    releaseAttachment(key);
+    delete attachmentLoads[key];
+    return key;
+  };
+
+  for (const key in attachments) registerAttachment(attachments[key], key);
+
+  // Loads an attachment's image; `source` (URL, Blob, bytes or image) overrides its `url`.
+  // Mounted attachments load on first draw when loading is lazy.
+  const loadAttachment = (key, source = null) => {
+    const def = ATTACHMENTS[key];
+    if (!def) return Promise.reject(new Error(`Lathe: unknown attachment "${key}"`));
+    if (attachmentLoads[key] && !source) return attachmentLoads[key];
+    attachmentLoads[key] = fetchAsset(key, source || def.url, 'image').then(toBitmap).then((image) => {
+      releaseAttachment(key);
+      const sheet = { bitmap: image, frames: [imageFrame(image)], normals: null, pixels: new Map(), normalPixels: new Map() };
+      attachmentSheets[key] = sheet;
+      emit('load', { key, sheet, attachment: true, placeholder: false, error: null });
+      return sheet;
+    });
+    return attachmentLoads[key];
+  };
+
+  // What a { socket: attachment key } table mounts and is drawable: [{ socket, attachment, sheet }].
+  const mountList = (table, config) => {
+    const list = [];
+    for (const name in table || {}) {
+      const key = table[name];
+      const socket = config.sockets[name];
+      if (!socket || !ATTACHMENTS[key]) continue;
+      if (!attachmentSheets[key]) {
+        if (loadOpts.lazy && !attachmentLoads[key]) loadAttachment(key).catch(() => {});
+        continue;
+      }
+      list.push({ socket, attachment: ATTACHMENTS[key], sheet: attachmentSheets[key] });
+    }
+    return list;
+  };
+  const mountedOn = (b, config) => mountList(mounts[b], config);
+
+  // --- LIGHTING ---
+  const framePixels = (bitmap, frame, cache, frameIdx) => {
+    let data = cache.get(frameIdx);
+    if (!data) {
+      analysisBuffer.width = frame.w;
+      analysisBuffer.height = frame.h;
+      aCtx.drawImage(bitmap, frame.x, frame.y, frame.w, frame.h, 0, 0, frame.w, frame.h);
+      data = aCtx.getImageData(0, 0, frame.w, frame.h).data;
+      cache.set(frameIdx, data);
+    }
+    return data;
+  };
+
+  const releaseLit = (entry) => {
+    backend.release(entry.canvas);
+    entry.canvas.width = 0; entry.canvas.height = 0;
+  };
+  // Drops cached lit frames of one sheet, or all of them
+  const dropLit = (sheet = null) => {
+    for (const [key, entry] of litCache) {
+      if (sheet && entry.sheet !== sheet) continue;
+      releaseLit(entry);
+      litCache.delete(key);
+    }
+  };
+
+  // Returns { bitmap, layer }: the layer drawn from a lit copy of its frame. Copies are
+  // shaded once per frame, yaw (in LIT_YAW_STEP steps) and segment shape, then reused
+  // until evicted; point lights key on their direction and distance from the layer in
+  // buckets (bucketLights), so a walking puppet keeps hitting the cache.
+  // (originX, originY) is where the render buffer's origin lands on the stage.
+  const lightLayer = (sheet, frameIdx, layer, originX, originY) => {
+    const { frame, cellW, cellH, arc, radConst, centerX, profile, taperTop, yStart, yEnd, dyBase, currentH, ssaa, isFlipped } = layer;
+    const rotRad = Math.round(layer.rotRad / LIT_YAW_STEP) * LIT_YAW_STEP;
+    // Radius lost per pixel of height, for the upward tilt of cones and tapers
+    const slope = taperTop !== 1 ? Math.round(1e4 * (radConst * (1 - taperTop)) / (currentH * (yEnd - yStart) / cellH)) / 1e4 : 0;
+    const hasPoint = lighting.lights.some((l) => l.type === 'point');
+    const radius = Math.round(radConst / ssaa), height = hasPoint ? Math.round(currentH / ssaa) : 0;
+    const lit = hasPoint
+      ? bucketLights(lighting, originX + centerX / ssaa, originY + (dyBase + currentH / 2) / ssaa)
+      : { key: '', lighting };
+    if (!sheetIds.has(sheet)) sheetIds.set(sheet, nextSheetId++);
+    const key = [sheetIds.get(sheet), frameIdx, frame.x, frame.y, frame.w, frame.h, cellW, arc, rotRad, profile, yStart, yEnd, isFlipped ? 1 : 0, slope, radius, height, lit.key].join(' ');
+
+    let entry = litCache.get(key);
+    if (entry) {
+      // Most recently used last
+      litCache.delete(key);
+      litCache.set(key, entry);
+    } else {
+      const canvas = createCanvas(frame.w, frame.h);
+      const litCtx = canvas.getContext('2d');
+      const out = litCtx.createImageData(frame.w, frame.h);
+      if (litAngles.length < cellW) litAngles = new Float32Array(cellW);
+      for (let i = 0; i < cellW; i++) litAngles[i] = columnAngle(i, cellW, arc, rotRad, profile === 'sphere');
+      const normals = sheet.normals ? framePixels(sheet.normals, frame, sheet.normalPixels, frameIdx) : null;
+      shadeFrame(out, framePixels(sheet.bitmap, frame, sheet.pixels, frameIdx), normals, litAngles, {
+        frame, cellW, yStart, yEnd, profile, isFlipped, slope, radius,
+        toStage: (i, row) => [Math.sin(litAngles[i]) * radius, (row / cellH - 0.5) * height]
+      }, lit.lighting);
+      litCtx.putImageData(out, 0, 0);
+      entry = { canvas, sheet };
+      litCache.set(key, entry);
+      if (litCache.size > LIT_CACHE_SIZE) {
+        const [oldest, old] = litCache.entries().next().value;
+        releaseLit(old);
+        litCache.delete(oldest);
+      }
+    }
+    return { bitmap: entry.canvas, layer: { ...layer, frame: { ...frame, x: 0, y: 0 } } };
+  };
+
+  // Replaces the scene lighting. Throws on an invalid spec, leaving the old one in place.
+  const setLighting = (spec) => {
+    lighting = compileLighting(spec);
+    dropLit();
+  };
+
+  // `motion` ({ moving, running, airborne }, each optional) overrides the state derived from yaw and height.
+  // `segYaws[i]` is the yaw of config.segments[i] when that segment lags on its own.
+  // `anim` ({ state, time, from, fromTime, fade }) is the animator state; fade < 1 while crossfading.
+  const drawPuppet = (targetCtx, x, y, time, bRot, hRot, pitch, py, type, b, motion, segYaws, anim) => {
+    const config = ACTORS[type];
+    const sheet = sheets[type];
+    if (!sheet) { ensureLoaded(type); return; }
+    const bitmap = sheet.bitmap;
+
+    // RENDER BUFFER: the actor's bounds at SSAA buffer px per stage px, centred on its
+    // anchor (x, y + py). Offline poses always draw at full quality.
+    const level = b === SCRATCH ? ladder[0] : ladder[rung];
+    const mounted = mountedOn(b, config);
+    const { halfW, halfH } = stageBounds(config, mounted);
+    const SSAA = Math.min(Math.max(0.25, Math.round(level.ssaa * targetScale(targetCtx) * 4) / 4), quality.maxBuffer / (2 * Math.max(halfW, halfH)));
+    const bufW = Math.ceil(2 * halfW * SSAA), bufH = Math.ceil(2 * halfH * SSAA);
+    if (renderBuffer.width < bufW || renderBuffer.height < bufH) {
+      backend.resize(Math.max(renderBuffer.width, bufW), Math.max(renderBuffer.height, bufH));
+    }
+    backend.begin(bufW, bufH);
+    // Where buffer px (0, 0) lands on the stage
+    const originX = x - halfW, originY = y + py - halfH;
+    const cx = halfW * SSAA, cy = (halfH - py) * SSAA;
+    const arc = Math.PI * 0.75; 
+
+    const pick = (key, derived) => (motion && motion[key] !== undefined ? !!motion[key] : derived);
+    // Ground interpolated like py, so a puppet walking downhill does not read as airborne
+    const gndY = PREV[b + PREG.P_GND_Y] + (RAM[b + PREG.P_GND_Y] - PREV[b + PREG.P_GND_Y]) * (b === SCRATCH ? 1 : renderAlpha());
+    const isAirborne = pick('airborne', py < gndY);
+    
+    const sprintThreshold = config.sprintThreshold; 
+    const kineticThreshold = config.kineticThreshold; 
+    const rotMax = 60.0; 
+    
+    const absRot = Math.abs(hRot);
+    const isRunning = pick('running', absRot > sprintThreshold);
+    const isMoving = pick('moving', absRot > kineticThreshold);
+
+    let bodyIdx = 0;
+
+    // --- ANIMATION RESOLVER ---
+    // Frames come from the animation state machine (see LatheAnimator.js). Returns an
+    // index into sheet.frames for the given state and time in it.
+    const getFrame = (isHeadPart, stateIdx, stateTime, latch) => {
+      const lastFrame = isHeadPart ? RAM[b + PREG.P_LATCH_FRAME_HEAD] : RAM[b + PREG.P_LATCH_FRAME_BODY];
+      const rotVal = isHeadPart ? hRot : bRot;
+      let frameIdx = 0;
+      
+      // The head only plays the clip in profile or mid-air; face-on it holds the idle frame
+      const isProfileActive = config.getProfileCondition(isMoving, isRunning);
+      if (!isHeadPart || isAirborne || isProfileActive) {
+          const dirRef = isAirborne 
+              ? (RAM[b + PREG.P_LAST_LATERAL_DIR] === -1 ? -1 : 1) 
+              : rotVal;
+          const { seq, seqIdx } = clipFrameAt(config, sheet, stateIdx, stateTime, dirRef);
+          frameIdx = seq[seqIdx];
+          if (!isHeadPart && latch) bodyIdx = seqIdx;
+      } else {
+          frameIdx = sheet.anims['IDLE'][0];
+      }
+
+      // Validity Check & Latching
+      if (isFrameValid(sheet.frames[frameIdx], bitmap)) {
+          if (!latch) return frameIdx;
+          if (isHeadPart) RAM[b + PREG.P_LATCH_FRAME_HEAD] = frameIdx; else RAM[b + PREG.P_LATCH_FRAME_BODY] = frameIdx;
+      } else frameIdx = lastFrame; 
+      return frameIdx;
+    };
+
+    const bFrame = getFrame(false, anim.state, anim.time, true), hFrame = getFrame(true, anim.state, anim.time, true);
+    const isIdle = !isAirborne && !isMoving;
+    const headBounce = Math.sin(time * 0.002) * 1.5;
+    
+    // 4. DATA-DRIVEN BOBBING
+    let movementBob = (bodyIdx % 2 === 1) ? config.bobAmplitude : 0;
+
+    const jumpOffset = py * SSAA;
+    
+    // 5. DATA-DRIVEN FLIP LOGIC
+    const isFlipped = config.shouldFlip(hRot);
+    
+    const baseBodyH = config.h * (0.94) * 4.2 * SSAA; 
+    
+    // 6. DATA-DRIVEN SLIDE AMOUNT
+    const slideAmount = -Math.sin(hRot * (Math.PI / 180)) * config.slideScale * SSAA; 
+
+    const renderPass = (seg, segYaw, scale, layerFrames, fadeAlpha, guides) => {
+      const isHeadPart = seg.frames === 'head';
+      const frameIdx = isHeadPart ? layerFrames.head : layerFrames.body;
+      const frame = sheet.frames[frameIdx];
+      if (!isFrameValid(frame, bitmap)) return;
+      let rotationDeg = Math.max(-rotMax, Math.min(rotMax, segYaw));
+
+      // 7. DATA-DRIVEN PROFILE CHECK
+      const isProfile = config.getProfileCondition(isMoving, isRunning);
+      if (isProfile) {
+          const CORRECTION = config.profileCorrection; 
+          rotationDeg = rotationDeg - (Math.sign(rotationDeg) * CORRECTION);
+      }
+
+      // --- LAYER CONFIG ---
+      let centerX = cx + slideAmount; 
+      let verticalOffset = 0;
+
+      // 8. DATA-DRIVEN RADIUS MULTIPLIERS
+      const pitchVal = seg.pitch ? pitch * seg.pitch : 0;
+      
+      const effectiveRadius = seg.radius * config.widthScalar;
+      let pScale = pitchVal;
+      if (seg.pitch && pitchVal > 0) pScale = -pitchVal * 0.3; 
+      
+      const taperTop = seg.profile === 'cone' || seg.profile === 'taper' ? seg.taper : 1;
+      const useSmartStrip = Math.abs(pitchVal) < 0.1;
+      const baseH = config.h * (0.94) * 4.2 * SSAA; 
+      const currentH = baseH * scale; 
+      const pivotRow = seg.pivot !== undefined ? seg.pivot : config.neckY;
+      const pivotY = cy - (baseBodyH / 2) + (pivotRow / config.h) * baseBodyH + jumpOffset;
+      let dyBase;
+      
+      // --- BOUNCE RESOLUTION ---
+      let layerBounce = !seg.bob ? 0 : (isIdle) ? headBounce : (!isAirborne && isMoving ? movementBob : 0);
+      
+      // SUPPRESS HEAD BOB IN PROFILE IF CONFIGURED
+      if (seg.bob && isProfile && config.noProfileHeadBob) {
+           if (!isAirborne && isMoving) layerBounce = 0;
+      }
+      const snapBounce = Math.floor(layerBounce * SSAA);
+
+      // 9. DATA-DRIVEN SINK
+      const baseSink = isProfile ? seg.sink.profile : seg.sink.idle;
+      if (seg.pivot !== undefined) {
+          // Hangs from its pivot, which carries the pitch sink
+          let pitchSink = 0;
+          if (pitchVal < 0) {
+             pitchSink = Math.abs(pitchVal) * 8.0 * SSAA;
+          }
+          dyBase = (pivotY + verticalOffset + (baseSink * SSAA) + pitchSink) - (pivotRow / config.h) * currentH + snapBounce;
+      } else {
+          dyBase = cy - (baseH / 2) + jumpOffset + (baseSink * SSAA) + snapBounce;
+      }
+      
+      const yStart = seg.rows[0];
+      let yEnd = seg.rows[1] !== undefined ? seg.rows[1] : config.h;
+      
+      // 10. DATA-DRIVEN SHAVE (Trim bottom pixels)
+      yEnd -= isProfile ? seg.shave.profile : seg.shave.idle;
+      if (yEnd <= yStart) return;
+      
+      const radConst = config.w * effectiveRadius * 4.2 * SSAA;
+      const pitchConst = pScale * 10.5 * SSAA;
+      const rotRad = rotationDeg * Math.PI / 180;
+
+      // Everything a backend needs to rasterise this layer, drawn from its lit copy
+      const layer = {
+        layerType: seg.name, frame,
+        cellW: config.w, cellH: config.h, arc, rotRad, radConst, centerX, isFlipped,
+        profile: seg.profile, taperTop, edgeSkip: seg.edgeSkip,
+        pitchVal, pitchConst,
+        pitchRot: (seg.pitch && Math.abs(pitchVal) > 0.01) ? pitchVal * 0.14 * Math.sign(hRot) : 0,
+        neckAnchor: pivotY,
+        useSmartStrip, isAccordionActive: (isIdle && seg.breathe),
+        yStart, yEnd, dyBase, currentH, time, ssaa: SSAA, chunkRows: level.chunk,
+        alpha: ((debugView && isHeadPart) ? 0.5 : 1.0) * fadeAlpha
+      };
+      // ATTACHMENTS: billboards round the back go behind their segment, the rest on top;
+      // a 'replace' attachment draws in the segment's place
+      const segIdx = config.segments.indexOf(seg);
+      const here = mounted.filter((m) => m.socket.segment === segIdx);
+      const drawLit = (litSheet, idx, litLayer) => {
+        const lit = lightLayer(litSheet, idx, litLayer, originX, originY);
+        backend.drawLayer(lit.bitmap, lit.layer);
+      };
+      const drawMount = (m) => drawLit(m.sheet, 0, mountLayer(layer, m.socket, m.attachment, m.sheet.bitmap));
+      const isBehind = (m) => m.attachment.mode === 'billboard' && socketPoint(layer, m.socket).z < 0;
+      const replacement = here.find((m) => m.attachment.mode === 'replace');
+      here.filter(isBehind).forEach(drawMount);
+      if (replacement) drawLit(replacement.sheet, 0, { ...layer, frame: replacement.sheet.frames[0] });
+      else drawLit(sheet, frameIdx, layer);
+      here.filter((m) => m.attachment.mode !== 'replace' && !isBehind(m)).forEach(drawMount);
+
+      if (guides) {
+        const guide = layerGuide(layer, debugView);
+        if (debugView) {
+          for (const name in config.sockets) {
+            const socket = config.sockets[name];
+            if (socket.segment === segIdx) guide.sockets.push({ name, mounted: (mounts[b] || {})[name] || null, ...socketPoint(layer, socket) });
+          }
+        }
+        guides.push(guide);
+      }
+    };
+
+    // Segments draw back to front in declaration order. Lagging segments carry their
+    // own yaw (segYaws); the rest take their share of the head's.
+    const drawRig = (layerFrames, fadeAlpha, guides = null) => config.segments.forEach((seg, i) => {
+      const segYaw = segYaws && segYaws[i] !== undefined && segYaws[i] !== null ? segYaws[i] : hRot * seg.follow;
+      renderPass(seg, segYaw, 1.0, layerFrames, fadeAlpha, guides);
+    });
+    // What this draw showed, for puppet.inspect() and the debug guides
+    const info = {
+      actor: type, state: config.machine.names[anim.state], time: anim.time, fade: anim.fade,
+      frames: { body: bFrame, head: hFrame, bodyName: sheet.frames[bFrame] && sheet.frames[bFrame].name, headName: sheet.frames[hFrame] && sheet.frames[hFrame].name },
+      yaw: hRot, pitch, airborne: isAirborne, moving: isMoving, running: isRunning,
+      profile: config.getProfileCondition(isMoving, isRunning), flipped: isFlipped, layers: []
+    };
+    inspections[b] = info;
+    drawRig({ body: bFrame, head: hFrame }, 1.0, info.layers);
+    // CROSSFADE: the outgoing state fades out over the incoming one
+    if (anim.fade < 1) {
+      drawRig({
+        body: getFrame(false, anim.from, anim.fromTime, false),
+        head: getFrame(true, anim.from, anim.fromTime, false)
+      }, 1 - anim.fade);
+    }
+    
+    targetCtx.imageSmoothingEnabled = true; 
+    targetCtx.imageSmoothingQuality = 'high'; 
+    targetCtx.drawImage(renderBuffer, 0, 0, bufW, bufH, originX, originY, bufW / SSAA, bufH / SSAA);
+    if (debugView && b !== SCRATCH) drawGuides(targetCtx, info, originX, originY, 1 / SSAA);
+  };
+
+  const update = (b, dt) => {
+    const config = ACTORS[actorKeys[RAM[b + PREG.P_ACTOR]]];
+
+    // LOCOMOTION: the heading's gait sets the walking speed; airborne puppets keep their momentum
+    const grounded = RAM[b + PREG.PY] >= RAM[b + PREG.P_GND_Y];
+    if (grounded && config) {
+      const absRot = Math.abs(RAM[b + PREG.PH_ROT]);
+      const speed = absRot > config.sprintThreshold ? config.runSpeed : absRot > config.kineticThreshold ? config.walkSpeed : 0;
+      RAM[b + PREG.P_VEL] += (Math.sign(RAM[b + PREG.PH_ROT]) * speed - RAM[b + PREG.P_VEL]) * ease(PHYSICS.walkEase);
+    }
+    const fromX = RAM[b + PREG.PX];
+    RAM[b + PREG.PX] += RAM[b + PREG.P_VEL] * stepRate;
+
+    // GROUND: follow slopes and small steps up and down rather than falling off them;
+    // ground more than STEP_UP over the feet (PY is -height) is a wall, walking or airborne.
+    // VEL keeps pushing, so jumping against a wall carries the puppet onto it.
+    if (RAM[b + PREG.PY] + ground(RAM[b + PREG.PX]) > STEP_UP) RAM[b + PREG.PX] = fromX;
+    RAM[b + PREG.P_GND_Y] = -ground(RAM[b + PREG.PX]);
+    if (grounded && RAM[b + PREG.P_YVEL] >= 0 && RAM[b + PREG.P_GND_Y] - RAM[b + PREG.PY] <= STEP_DOWN) {
+      RAM[b + PREG.PY] = RAM[b + PREG.P_GND_Y];
+    }
+
+    if (RAM[b + PREG.P_YVEL] !== 0 || RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y]) RAM[b + PREG.PY] += fallDistance(RAM[b + PREG.P_YVEL], stepRate);
+    if (RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y]) { RAM[b + PREG.P_YVEL] += PHYSICS.gravity * stepRate; } 
+    else { RAM[b + PREG.PY] = RAM[b + PREG.P_GND_Y]; RAM[b + PREG.P_YVEL] = 0; }
+    CLOCKS[b + PREG.P_CLOCK] += dt; 
+    
+    let targetA = 0, targetP = 0;
+    if (RAM[b + PREG.P_IS_TOUCHING] === 1) {
+        targetA = RAM[b + PREG.P_TARGET_ROT]; targetP = RAM[b + PREG.P_TARGET_PITCH];
+    } else {
+        if (RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y]) { targetA = RAM[b + PREG.P_LATCH_ROT_AIR]; targetP = RAM[b + PREG.P_LATCH_PITCH_AIR]; } 
+        else { targetA = 0; targetP = 0; }
+    }
+    
+    let damp = PHYSICS.damp;
+    if (RAM[b + PREG.P_IS_TOUCHING] === 0 && RAM[b + PREG.PY] >= RAM[b + PREG.P_GND_Y]) damp = PHYSICS.releaseDamp; 
+    else if (RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y]) damp = PHYSICS.airDamp; 
+    else if (config && config.trackDamp) damp = config.trackDamp;
+
+    RAM[b + PREG.PH_ROT] += (targetA - RAM[b + PREG.PH_ROT]) * ease(damp);
+    RAM[b + PREG.P_PITCH] += (targetP - RAM[b + PREG.P_PITCH]) * ease(PHYSICS.bodyDamp);
+    RAM[b + PREG.PB_ROT] += (targetA * 0.95 - RAM[b + PREG.PB_ROT]) * ease(PHYSICS.bodyDamp);
+
+    // LATERAL TRACKING
+    if (RAM[b + PREG.PB_ROT] > 2) RAM[b + PREG.P_LAST_LATERAL_DIR] = 1;
+    else if (RAM[b + PREG.PB_ROT] < -2) RAM[b + PREG.P_LAST_LATERAL_DIR] = -1;
+
+    // Lagging segments chase their share of the target yaw at their own rate
+    if (!config) return;
+    config.segments.forEach((seg, i) => {
+      if (seg.lag === undefined) return;
+      const r = b + PREG.P_SEG_ROT + i;
+      RAM[r] += (targetA * seg.follow - RAM[r]) * ease(seg.lag);
+    });
+
+    animate(b, dt, config, targetA);
+  };
+
+  // --- ANIMATION STATE ---
+  const animEvents = [];
+  const listeners = {};
+
+  const enterState = (b, to, fade) => {
+    RAM[b + PREG.P_ANIM_FROM] = RAM[b + PREG.P_ANIM_STATE];
+    CLOCKS[b + PREG.P_ANIM_FROM_TIME] = CLOCKS[b + PREG.P_ANIM_TIME];
+    CLOCKS[b + PREG.P_ANIM_FADE] = 0;
+    RAM[b + PREG.P_ANIM_FADE_MS] = fade;
+    RAM[b + PREG.P_ANIM_STATE] = to;
+    CLOCKS[b + PREG.P_ANIM_TIME] = 0;
+    CLOCKS[b + PREG.P_ANIM_STEP] = -1;
+  };
+
+  const resetAnim = (b, config) => {
+    clearRAM(b + PREG.P_ANIM_STATE, b + PREG.P_ANIM_STEP + 1);
+    RAM[b + PREG.P_ANIM_STATE] = config.machine.initial;
+    CLOCKS[b + PREG.P_ANIM_STEP] = -1;
+    clearRAM(b + PREG.P_ANIM_PARAM, b + PREG.P_ANIM_PARAM + MAX_PARAMS);
+    config.machine.defaults.forEach((v, i) => { RAM[b + PREG.P_ANIM_PARAM + i] = v; });
+  };
+
+  const animParams = (b, config, targetA) => {
+    const params = {
+      speed: Math.abs(RAM[b + PREG.PH_ROT]),
+      yaw: RAM[b + PREG.PH_ROT],
+      turning: Math.abs(targetA - RAM[b + PREG.PH_ROT]),
+      airborne: RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y] ? 1 : 0,
+      rising: RAM[b + PREG.P_YVEL] < 0 ? 1 : 0
+    };
+    config.machine.params.forEach((key, i) => { params[key] = RAM[b + PREG.P_ANIM_PARAM + i]; });
+    return params;
+  };
+
+  // Advances the state clock, takes at most one transition and queues the frame
+  // events the body clip passed this tick. Runs inside tick(), so it replays exactly.
+  const animate = (b, dt, config, targetA) => {
+    const sheet = sheets[config.id];
+    CLOCKS[b + PREG.P_ANIM_TIME] += dt;
+    if (RAM[b + PREG.P_ANIM_FADE_MS] > 0) {
+      CLOCKS[b + PREG.P_ANIM_FROM_TIME] += dt;
+      CLOCKS[b + PREG.P_ANIM_FADE] += dt;
+      if (CLOCKS[b + PREG.P_ANIM_FADE] >= RAM[b + PREG.P_ANIM_FADE_MS]) RAM[b + PREG.P_ANIM_FADE_MS] = 0;
+    }
+
+    const airborne = RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y];
+    const dirRef = airborne ? (RAM[b + PREG.P_LAST_LATERAL_DIR] === -1 ? -1 : 1) : RAM[b + PREG.PB_ROT];
+    const at = () => clipFrameAt(config, sheet, RAM[b + PREG.P_ANIM_STATE], CLOCKS[b + PREG.P_ANIM_TIME], dirRef);
+
+    const current = sheet ? at() : null;
+    const next = pickTransition(config.machine, RAM[b + PREG.P_ANIM_STATE], animParams(b, config, targetA), CLOCKS[b + PREG.P_ANIM_TIME], current ? current.cursor.done : false);
+    if (next) enterState(b, next.to, next.fade);
+    if (!sheet) return;
+
+    const { clip, seq, playlist, cursor } = next ? at() : current;
+    const id = (b - PUPPET_BASE) / PUPPET_STRIDE;
+    const state = config.machine.names[RAM[b + PREG.P_ANIM_STATE]];
+    // After a stall only the last cycle's events are raised
+    const from = Math.max(CLOCKS[b + PREG.P_ANIM_STEP] + 1, cursor.step - playlist.length + 1);
+    for (let step = from; step <= cursor.step; step++) {
+      const seqIdx = playlist[step % playlist.length].seqIdx;
+      for (const event of eventsAt(clip, seqIdx, seq.length)) animEvents.push({ id, event, state, frame: seq[seqIdx] });
+    }
+    CLOCKS[b + PREG.P_ANIM_STEP] = cursor.step;
+  };
+
+  // Subscribes to animation events ('footstep', 'land', ... or '*' for all). Returns an unsubscribe function.
+  // Handlers get { puppet, event, state, frame } after the tick that raised them.
+  // Loading events ('load', 'loaderror', 'loadprogress') use the same subscription, outside '*'.
+  const on = (event, fn) => {
+    (listeners[event] = listeners[event] || []).push(fn);
+    return () => { listeners[event] = listeners[event].filter((f) => f !== fn); };
+  };
+
+  const dispatchAnimEvents = () => {
+    const queued = animEvents.splice(0);
+    for (const { id, event, state, frame } of queued) {
+      const puppet = puppets[id];
+      if (!puppet) continue;
+      const e = { puppet, event, state, frame };
+      for (const fn of (listeners[event] || []).concat(listeners['*'] || [])) fn(e);
+    }
+  };
+
+  // --- INPUT ---
+  // Every state change from outside the simulation goes through applyInput, so a
+  // recording is just the list of (tick, puppet, type, data) calls.
+  const actorIndex = (key) => {
+    const idx = actorKeys.indexOf(key);
+    if (idx < 0) throw new Error(`Lathe: unknown actor "${key}"`);
+    return idx;
+  };
+
+  // Copies a block into PREV so a teleport or reset is not interpolated.
+  const syncPrev = (b) => {
+    PREV.set(RAM.subarray(b, b + PUPPET_STRIDE), b);
+    PREV_CLOCKS.set(CLOCKS.subarray(b, b + PUPPET_STRIDE), b);
+  };
+
+  const applyInput = (id, type, data) => {
+    const b = PUPPET_BASE + id * PUPPET_STRIDE;
+    if (RAM[b + PREG.P_ALIVE] !== 1) return;
+    switch (type) {
+      case 'actor':
+        RAM[b + PREG.P_ACTOR] = actorIndex(data.actor);
+        RAM[b + PREG.PH_ROT] = 0; RAM[b + PREG.PB_ROT] = 0; RAM[b + PREG.P_PITCH] = 0;
+        clearRAM(b + PREG.P_SEG_ROT, b + PREG.P_SEG_ROT + MAX_SEGMENTS);
+        resetAnim(b, ACTORS[data.actor]);
+        syncPrev(b);
+        break;
+      case 'position': {
+        const grounded = RAM[b + PREG.PY] >= RAM[b + PREG.P_GND_Y];
+        if (data.x !== undefined) RAM[b + PREG.PX] = data.x;
+        if (data.z !== undefined) RAM[b + PREG.PZ] = data.z;
+        RAM[b + PREG.P_GND_Y] = -ground(RAM[b + PREG.PX]);
+        if (grounded) RAM[b + PREG.PY] = RAM[b + PREG.P_GND_Y];
+        syncPrev(b);
+        break;
+      }
+      case 'pose': {
+        const { yaw, pitch, tracking } = data;
+        if (yaw !== undefined) RAM[b + PREG.P_TARGET_ROT] = yaw;
+        if (pitch !== undefined) RAM[b + PREG.P_TARGET_PITCH] = Math.max(-PITCH_LIMIT, Math.min(PITCH_LIMIT, pitch));
+        if (tracking !== undefined) RAM[b + PREG.P_IS_TOUCHING] = tracking ? 1 : 0;
+        break;
+      }
+      case 'jump':
+        // Only from the ground: held or mashed keys do not jump again mid-air
+        if (RAM[b + PREG.PY] < RAM[b + PREG.P_GND_Y] || RAM[b + PREG.P_YVEL] < 0) break;
+        RAM[b + PREG.P_YVEL] = PHYSICS.jumpVelocity;
+        RAM[b + PREG.P_LATCH_ROT_AIR] = RAM[b + PREG.PH_ROT]; RAM[b + PREG.P_LATCH_PITCH_AIR] = RAM[b + PREG.P_PITCH];
+        break;
+      // Names the puppet's machine does not have (a log replayed or synced after the
+      // actor changed) are ignored; setParam and play check them up front.
+      case 'param': {
+        const config = ACTORS[actorKeys[RAM[b + PREG.P_ACTOR]]];
+        const i = config.machine.params.indexOf(data.name);
+        if (i >= 0) RAM[b + PREG.P_ANIM_PARAM + i] = data.value;
+        break;
+      }
+      case 'state': {
+        const config = ACTORS[actorKeys[RAM[b + PREG.P_ACTOR]]];
+        if (data.state in config.machine.index) enterState(b, config.machine.index[data.state], data.fade || 0);
+        break;
+      }
+      case 'attach': {
+        const m = mounts[b] || (mounts[b] = {});
+        if (data.key === null) delete m[data.socket]; else m[data.socket] = data.key;
+        break;
+      }
+      default:
+        throw new Error(`Lathe: unknown input "${type}"`);
+    }
+  };
+
+  // Live input: ignored while a replay drives the puppets, logged while recording.
+  const input = (id, type, data = {}) => {
+    if (replay) return;
+    if (recording) recording.events.push({ tick: ticks, id, type, data: { ...data } });
+    applyInput(id, type, data);
+  };
+
+  // --- PUPPET HANDLES ---
+  const createPuppet = (slot) => {
+    const b = PUPPET_BASE + slot * PUPPET_STRIDE;
+    const puppet = {
+      id: slot,
+      base: b,
+      get actor() { return actorKeys[RAM[b + PREG.P_ACTOR]]; },
+      get x() { return RAM[b + PREG.PX]; },
+      get y() { return RAM[b + PREG.PY]; },
+      get z() { return RAM[b + PREG.PZ]; },
+      get state() { return ACTORS[puppet.actor].machine.names[RAM[b + PREG.P_ANIM_STATE]]; },
+
+      setActor(key) {
+        actorIndex(key);
+        input(slot, 'actor', { actor: key });
+        return puppet;
+      },
+
+      // x is lateral world position, z is scene depth (higher z = nearer the viewer, drawn
+      // later and lower). A grounded puppet lands on the ground at its new x.
+      setPosition(x, z) {
+        input(slot, 'position', { x, z });
+        return puppet;
+      },
+
+      // yaw in degrees, pitch in -1.1..1.1. While `tracking` is off the puppet eases back to rest.
+      setPose({ yaw, pitch, tracking } = {}) {
+        input(slot, 'pose', { yaw, pitch, tracking });
+        return puppet;
+      },
+
+      // Ignored while airborne (checked when the input applies, so replays agree).
+      jump() {
+        input(slot, 'jump');
+        return puppet;
+      },
+
+      // Sets a param declared in the actor's machine (transitions read it from the next tick).
+      setParam(name, value) {
+        const { machine } = ACTORS[puppet.actor];
+        if (!machine.params.includes(name)) throw new Error(`Lathe: actor "${puppet.actor}" has no animation param "${name}" (declared: ${machine.params.join(', ') || 'none'})`);
+        input(slot, 'param', { name, value: +value });
+        return puppet;
+      },
+
+      // Forces a state, e.g. a one-shot attack; its own transitions take over afterwards.
+      play(state, { fade = 0 } = {}) {
+        const { machine } = ACTORS[puppet.actor];
+        if (!(state in machine.index)) throw new Error(`Lathe: actor "${puppet.actor}" has no animation state "${state}" (states: ${machine.names.join(', ')})`);
+        input(slot, 'state', { state, fade });
+        return puppet;
+      },
+
+      // Animation events for this puppet only; see lathe.on.
+      on(event, fn) {
+        return on(event, (e) => { if (e.puppet === puppet) fn(e); });
+      },
+
+      // Draws just this puppet at (x, y), ignoring depth order. Pose is interpolated
+      // between the last two ticks by the clock's leftover time.
+      render(targetCtx = defaultCtx, x = 0, y = 0) {
+        const t = renderAlpha();
+        const lerp = (reg) => PREV[b + reg] + (RAM[b + reg] - PREV[b + reg]) * t;
+        const lerpClock = (reg) => PREV_CLOCKS[b + reg] + (CLOCKS[b + reg] - PREV_CLOCKS[b + reg]) * t;
+        const config = ACTORS[puppet.actor];
+        const segYaws = config.segments.map((seg, i) => seg.lag === undefined ? null : lerp(PREG.P_SEG_ROT + i));
+        // State clocks restart on a transition; only interpolate within one state
+        const sameState = PREV[b + PREG.P_ANIM_STATE] === RAM[b + PREG.P_ANIM_STATE];
+        const fadeMs = RAM[b + PREG.P_ANIM_FADE_MS];
+        const anim = {
+          state: RAM[b + PREG.P_ANIM_STATE],
+          time: sameState ? lerpClock(PREG.P_ANIM_TIME) : CLOCKS[b + PREG.P_ANIM_TIME],
+          from: RAM[b + PREG.P_ANIM_FROM],
+          fromTime: CLOCKS[b + PREG.P_ANIM_FROM_TIME],
+          fade: fadeMs > 0 ? CLOCKS[b + PREG.P_ANIM_FADE] / fadeMs : 1
+        };
+        drawPuppet(targetCtx, x, y, lerpClock(PREG.P_CLOCK), lerp(PREG.PB_ROT), lerp(PREG.PH_ROT), lerp(PREG.P_PITCH), lerp(PREG.PY), puppet.actor, b, null, segYaws, anim);
+      },
+
+      // Mounts attachment `key` on one of the actor's sockets, replacing what was there;
+      // null takes it off. Mounts stay through setActor on actors with the same socket.
+      attach(socket, key) {
+        const config = ACTORS[puppet.actor];
+        if (!(socket in config.sockets)) throw new Error(`Lathe: actor "${puppet.actor}" has no socket "${socket}" (sockets: ${Object.keys(config.sockets).join(', ') || 'none'})`);
+        if (key !== null && !ATTACHMENTS[key]) throw new Error(`Lathe: unknown attachment "${key}"`);
+        input(slot, 'attach', { socket, key });
+        return puppet;
+      },
+
+      detach(socket) {
+        input(slot, 'attach', { socket, key: null });
+        return puppet;
+      },
+
+      // { socket: attachment key } of what is mounted
+      get attachments() { return { ...mounts[b] }; },
+
+      // What the last render of this puppet drew: state, frames, pose flags and per-layer
+      // guides ({ name, chunk, ... }); strip columns are only filled in debug view.
+      inspect() { return inspections[b] || null; },
+
+      // This puppet's state (see LatheState.js), and back: restore() takes any subset of
+      // its fields, e.g. { x, height, yaw, pitch } from the network, and keeps the rest.
+      snapshot() { return puppetState(b); },
+      restore(state) {
+        if (replay) throw new Error('Lathe: cannot restore state during a replay');
+        writePuppet(slot, resolvePuppetState(b, state));
+        return puppet;
+      },
+
+      despawn() { despawn(puppet); }
+    };
+    return puppet;
+  };
+
+  // --- PUBLIC API ---
+  const spawn = (key, { x = 0, z = 0 } = {}) => {
+    const idx = actorIndex(key);
+    const slot = puppets.indexOf(null);
+    if (slot < 0) throw new Error(`Lathe: puppet limit reached (maxPuppets: ${maxPuppets})`);
+    const b = PUPPET_BASE + slot * PUPPET_STRIDE;
+    clearRAM(b, b + PUPPET_STRIDE);
+    RAM[b + PREG.P_ALIVE] = 1;
+    RAM[b + PREG.P_ACTOR] = idx;
+    RAM[b + PREG.PX] = x; RAM[b + PREG.PZ] = z;
+    RAM[b + PREG.P_GND_Y] = -ground(x); RAM[b + PREG.PY] = RAM[b + PREG.P_GND_Y];
+    delete mounts[b];
+    resetAnim(b, ACTORS[key]);
+    syncPrev(b);
+    ensureLoaded(key);
+    puppets[slot] = createPuppet(slot);
+    RAM[REG.PUPPET_COUNT]++;
+    return puppets[slot];
+  };
+
+  const despawn = (puppet) => {
+    if (puppets[puppet.id] !== puppet) return;
+    clearRAM(puppet.base, puppet.base + PUPPET_STRIDE);
+    syncPrev(puppet.base);
+    delete inspections[puppet.base];
+    delete mounts[puppet.base];
+    puppets[puppet.id] = null;
+    RAM[REG.PUPPET_COUNT]--;
+  };
+
+  const getPuppets = () => puppets.filter(Boolean);
+
+  const getActor = (key) => ACTORS[key] || null;
+  const getSheet = (key) => sheets[key] || null;
+
+  // Draws one actor in an explicit pose without a puppet, for offline baking.
+  // `state` is an animation state (the machine's initial one by default) and `stateTime`
+  // the ms spent in it; `time` drives idle breathing. `py` is the height above ground
+  // (negative is up). Latches live in the scratch block and reset per call.
+  const renderPose = (targetCtx, x, y, { actor, yaw = 0, bodyYaw = yaw * 0.95, pitch = 0, time = 0, py = 0, motion = null, state = null, stateTime = time, attachments: poseMounts = null } = {}) => {
+    const { machine } = ACTORS[actor] || {};
+    if (machine && state !== null && !(state in machine.index)) throw new Error(`Lathe: actor "${actor}" has no animation state "${state}"`);
+    clearRAM(SCRATCH, SCRATCH + PUPPET_STRIDE);
+    RAM[SCRATCH + PREG.P_ACTOR] = actorIndex(actor);
+    RAM[SCRATCH + PREG.P_LAST_LATERAL_DIR] = yaw < 0 ? -1 : 1;
+    if (poseMounts) mounts[SCRATCH] = poseMounts; else delete mounts[SCRATCH];
+    // Lagging segments have settled on their share of the yaw
+    const segYaws = ACTORS[actor].segments.map((seg) => seg.lag === undefined ? null : yaw * seg.follow);
+    const anim = { state: state === null ? machine.initial : machine.index[state], time: stateTime, fade: 1 };
+    drawPuppet(targetCtx, x, y, time, bodyYaw, yaw, pitch, py, actor, SCRATCH, motion, segYaws, anim);
+  };
+
+  // One fixed simulation step for the whole scene.
+  const tick = () => {
+    if (replay) {
+      const { events } = replay.recording;
+      while (replay.next < events.length && events[replay.next].tick <= ticks) {
+        const e = events[replay.next++];
+        applyInput(e.id, e.type, e.data);
+      }
+    }
+    PREV.set(RAM); PREV_CLOCKS.set(CLOCKS);
+    ticks++;
+    for (let i = 0; i < maxPuppets; i++) if (puppets[i]) update(puppets[i].base, clock.stepMs);
+    updateCamera();
+    dispatchAnimEvents();
+    if (replay && ticks >= replay.recording.endTick) stopReplay();
+  };
+
+  // Feeds real elapsed time (ms) into the fixed-step clock; runs as many ticks as fit.
+  // With no argument, runs exactly one tick.
+  const step = (dt) => {
+    interpolate = dt !== undefined;
+    if (!interpolate) { tick(); return 1; }
+    return clock.advance(dt, tick);
+  };
+
+  // Draws every puppet back to front through the camera: the camera's world point lands
+  // on (x, y) of the target context, scaled by REG.ZOOM. Shadows go down first.
+  const render = (targetCtx = defaultCtx, x = 0, y = 0) => {
+    const t = renderAlpha();
+    const lerp = (puppet, reg) => PREV[puppet.base + reg] + (RAM[puppet.base + reg] - PREV[puppet.base + reg]) * t;
+    camera.look(x, y);
+    const order = getPuppets().sort((a, c) => (a.z - c.z) || (a.id - c.id));
+
+    targetCtx.save();
+    targetCtx.translate(x, y);
+    targetCtx.scale(view.zoom, view.zoom);
+    targetCtx.translate(-view.camX, -view.camY);
+    if (shadowStyle) {
+      for (const puppet of order) {
+        const config = ACTORS[puppet.actor];
+        if (!sheets[config.id]) continue;
+        const gndY = lerp(puppet, PREG.P_GND_Y);
+        // Feet sit half the drawn cell height below the anchor (see baseBodyH in drawPuppet)
+        drawShadow(targetCtx, lerp(puppet, PREG.PX), lerp(puppet, PREG.PZ) + gndY + config.h * 0.94 * 2.1, {
+          ...shadowStyle,
+          radius: config.w * Math.max(...config.segments.map((seg) => seg.radius)) * config.widthScalar * 4.2,
+          height: gndY - lerp(puppet, PREG.PY),
+          yaw: lerp(puppet, PREG.PH_ROT)
+        });
+      }
+    }
+    const started = now();
+    for (const puppet of order) puppet.render(targetCtx, lerp(puppet, PREG.PX), lerp(puppet, PREG.PZ));
+    targetCtx.restore();
+    if (quality.adaptive) adapt(now() - started);
+  };
+
+  // ADAPTIVE QUALITY: a moving average of the puppets' draw time steps down the ladder
+  // while over quality.targetMs and back up while under half of it, at most once every ADAPT_FRAMES.
+  const adapt = (ms) => {
+    renderMs += (ms - renderMs) * 0.1;
+    if (++renderFrames < ADAPT_FRAMES) return;
+    if (renderMs > quality.targetMs && rung < ladder.length - 1) rung++;
+    else if (renderMs < quality.targetMs * 0.5 && rung > 0) rung--;
+    else return;
+    renderFrames = 0;
+  };
+
+  // Replaces quality settings (merged over the current ones). Throws on an invalid
+  // spec, leaving the old one in place. Adaptive quality restarts from the top.
+  const setQuality = (spec) => {
+    quality = compileQuality({ ...quality, ...spec });
+    ladder = qualityLadder(quality);
+    rung = 0; renderMs = 0; renderFrames = 0;
+  };
+
+  // The quality settings and the { ssaa, chunk } step render() currently draws at.
+  const getQuality = () => ({ ...quality, level: { ...ladder[rung] } });
+
+  // Half extents (stage px) of the box an actor draws in round its anchor at py 0,
+  // with `attachments` ({ socket: attachment key }) mounted.
+  const actorBounds = (key, attachments = null) => {
+    const config = ACTORS[key];
+    if (!config) throw new Error(`Lathe: unknown actor "${key}"`);
+    return stageBounds(config, mountList(attachments, config));
+  };
+
+  // --- DISPLAY ---
+  // Sizes the lathe's canvas to width × height CSS px backed by pixelRatio device px
+  // each, and scales its context to match so render() keeps working in CSS px. Call it
+  // on resize events, not per frame: setting a canvas size reallocates and clears it.
+  const display = { width: canvas ? canvas.width : 0, height: canvas ? canvas.height : 0, pixelRatio: 1 };
+  const resize = (width, height, pixelRatio = (typeof devicePixelRatio !== 'undefined' && devicePixelRatio) || 1) => {
+    if (!canvas) throw new Error('Lathe: resize needs the canvas given to createLathe');
+    const w = Math.round(width * pixelRatio), h = Math.round(height * pixelRatio);
+    if (canvas.width !== w || canvas.height !== h) { canvas.width = w; canvas.height = h; }
+    if (canvas.style) { canvas.style.width = `${width}px`; canvas.style.height = `${height}px`; }
+    defaultCtx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    display.width = width; display.height = height; display.pixelRatio = pixelRatio;
+    return { ...display };
+  };
+  const getDisplay = () => ({ ...display });
+
+  // Replaces the ground (x => height). Puppets settle onto it on the next tick.
+  const setGround = (fn) => {
+    if (typeof fn !== 'function') throw new Error('Lathe: ground must be a function x => height');
+    ground = fn;
+  };
+
+  // --- CAMERA ---
+  // Camera state lives in REG, so snapshots and recordings carry it; following runs
+  // in tick() after the puppets move. `view` is the interpolated camera render() looks through.
+  const view = { x: 0, y: 0, camX: 0, camY: 0, zoom };
+
+  const updateCamera = () => {
+    const target = puppets[RAM[REG.CAM_TARGET] - 1];
+    if (!target) return;
+    const b = target.base;
+    RAM[REG.CAM_X] = followAxis(RAM[REG.CAM_X], RAM[b + PREG.PX], RAM[REG.CAM_DEAD_X], ease(RAM[REG.CAM_SMOOTH]));
+    RAM[REG.CAM_Y] = followAxis(RAM[REG.CAM_Y], RAM[b + PREG.PZ] + RAM[b + PREG.PY], RAM[REG.CAM_DEAD_Y], ease(RAM[REG.CAM_SMOOTH]));
+  };
+
+  const moveCamera = (x, y) => {
+    RAM[REG.CAM_X] = x; RAM[REG.CAM_Y] = y;
+    PREV[REG.CAM_X] = x; PREV[REG.CAM_Y] = y;
+  };
+
+  const camera = {
+    get x() { return RAM[REG.CAM_X]; },
+    get y() { return RAM[REG.CAM_Y]; },
+    get zoom() { return RAM[REG.ZOOM]; },
+    get target() { return puppets[RAM[REG.CAM_TARGET] - 1] || null; },
+
+    // deadzone: [halfWidth, halfHeight] in world px; smoothing: 0..1 of the gap per FRAME_MS tick.
+    follow(puppet, { deadzone = [48, 32], smoothing = 0.12, snap = true } = {}) {
+      if (!puppet || puppets[puppet.id] !== puppet) throw new Error('Lathe: camera can only follow a live puppet');
+      if (!(smoothing > 0 && smoothing <= 1)) throw new Error('Lathe: camera smoothing must be in (0, 1]');
+      RAM[REG.CAM_TARGET] = puppet.id + 1;
+      RAM[REG.CAM_DEAD_X] = deadzone[0]; RAM[REG.CAM_DEAD_Y] = deadzone[1];
+      RAM[REG.CAM_SMOOTH] = smoothing;
+      if (snap) moveCamera(puppet.x, puppet.z + puppet.y);
+      return camera;
+    },
+    unfollow() { RAM[REG.CAM_TARGET] = 0; return camera; },
+    moveTo(x, y) { moveCamera(x, y); return camera; },
+    setZoom(z) {
+      if (!(z > 0)) throw new Error('Lathe: zoom must be a positive number');
+      RAM[REG.ZOOM] = z; PREV[REG.ZOOM] = z;
+      return camera;
+    },
+
+    // Centres the view on (x, y) of the target context for this frame; render() calls it,
+    // call it first to draw backgrounds through the same view.
+    look(x, y) {
+      const t = renderAlpha();
+      const lerpAt = (i) => PREV[i] + (RAM[i] - PREV[i]) * t;
+      Object.assign(view, { x, y, camX: lerpAt(REG.CAM_X), camY: lerpAt(REG.CAM_Y), zoom: RAM[REG.ZOOM] });
+      return camera;
+    },
+    // World <-> target context, through the latest look()
+    toScreen: (wx, wy) => [view.x + (wx - view.camX) * view.zoom, view.y + (wy - view.camY) * view.zoom],
+    toWorld: (sx, sy) => [view.camX + (sx - view.x) / view.zoom, view.camY + (sy - view.y) / view.zoom]
+  };
+
+  // --- RECORD / REPLAY ---
+  // A recording is plain JSON: the full RAM at the start plus every input, stamped
+  // with the tick it was applied before. Replaying it restores the snapshot and
+  // re-applies the inputs on the same ticks, which reproduces the run exactly.
+  // Spawning or despawning puppets while recording is not captured.
+  const startRecording = () => {
+    if (replay) throw new Error('Lathe: cannot record during a replay');
+    recording = {
+      version: 1,
+      stepMs: clock.stepMs,
+      actors: actorKeys.slice(),
+      startTick: ticks,
+      snapshot: Array.from(RAM),
+      clocks: Array.from(CLOCKS),
+      // Attachments mounted when recording started, by puppet block
+      mounts: JSON.parse(JSON.stringify(mounts)),
+      events: []
+    };
+  };
+
+  const stopRecording = () => {
+    if (!recording) return null;
+    const done = { ...recording, endTick: ticks };
+    recording = null;
+    return done;
+  };
+
+  // Recordings from before CLOCKS kept the clocks in the snapshot
+  const restoreSnapshot = (snapshot, savedMounts = {}, clocks = snapshot) => {
+    RAM.set(snapshot); PREV.set(snapshot);
+    CLOCKS.set(clocks); PREV_CLOCKS.set(clocks);
+    for (const b in mounts) delete mounts[b];
+    for (const b in savedMounts) mounts[b] = { ...savedMounts[b] };
+    for (let slot = 0; slot < maxPuppets; slot++) {
+      const alive = RAM[PUPPET_BASE + slot * PUPPET_STRIDE + PREG.P_ALIVE] === 1;
+      if (!alive) puppets[slot] = null;
+      else if (!puppets[slot]) puppets[slot] = createPuppet(slot);
+    }
+    clock.reset();
+  };
+
+  const playRecording = (rec, { onEnd = null } = {}) => {
+    if (rec.version !== 1) throw new Error(`Lathe: unsupported recording version ${rec.version}`);
+    if (rec.snapshot.length !== RAM.length) throw new Error('Lathe: recording was made with a different maxPuppets');
+    const missing = rec.actors.filter((key, i) => actorKeys[i] !== key);
+    if (missing.length) throw new Error(`Lathe: recording needs actors registered in the same order (${rec.actors.join(', ')})`);
+    if (rec.stepMs !== clock.stepMs) throw new Error(`Lathe: recording used a ${rec.stepMs}ms step, this engine uses ${clock.stepMs}ms`);
+    recording = null;
+    restoreSnapshot(rec.snapshot, rec.mounts, rec.clocks);
+    ticks = rec.startTick;
+    replay = { recording: rec, next: 0, onEnd };
+  };
+
+  const stopReplay = () => {
+    if (!replay) return;
+    const { onEnd } = replay;
+    replay = null;
+    if (onEnd) onEnd();
+  };
+
+  const isReplaying = () => !!replay;
+
+  // --- STATE ---
+  // Typed snapshots by field name rather than RAM index (see LatheState.js). Restoring
+  // is a teleport: nothing is interpolated across it, and a recording does not capture it.
+  const puppetState = (b) => {
+    const config = ACTORS[actorKeys[RAM[b + PREG.P_ACTOR]]];
+    const { machine } = config;
+    const state = { actor: config.id, mounts: { ...mounts[b] } };
+    for (const name in PUPPET_FIELDS) {
+      const [reg, kind] = PUPPET_FIELDS[name];
+      const v = storeOf(PREG[reg])[b + PREG[reg]];
+      state[name] = kind === 'flag' ? v === 1 : CLOCK_REGS.includes(PREG[reg]) ? v : compactNumber(v);
+    }
+    state.anim = machine.names[RAM[b + PREG.P_ANIM_STATE]];
+    state.animFrom = machine.names[RAM[b + PREG.P_ANIM_FROM]];
+    state.segYaws = config.segments.map((seg, i) => compactNumber(RAM[b + PREG.P_SEG_ROT + i]));
+    state.params = {};
+    machine.params.forEach((name, i) => { state.params[name] = compactNumber(RAM[b + PREG.P_ANIM_PARAM + i]); });
+    return state;
+  };
+
+  // A complete puppet state for block `b` from a partial one: missing fields keep the
+  // puppet's current values, or a fresh spawn's at its x when the slot is empty or
+  // changes actor. Throws before anything is written.
+  const resolvePuppetState = (b, state) => {
+    const alive = RAM[b + PREG.P_ALIVE] === 1;
+    const key = state.actor !== undefined ? state.actor : alive ? actorKeys[RAM[b + PREG.P_ACTOR]] : null;
+    if (key === null) throw new Error(`Lathe: state for empty puppet slot ${(b - PUPPET_BASE) / PUPPET_STRIDE} needs an actor`);
+    const idx = actorIndex(key);
+    const config = ACTORS[key];
+    let base;
+    if (alive && RAM[b + PREG.P_ACTOR] === idx) base = puppetState(b);
+    else {
+      const x = state.x !== undefined ? state.x : 0;
+      clearRAM(SCRATCH, SCRATCH + PUPPET_STRIDE);
+      RAM[SCRATCH + PREG.P_ACTOR] = idx;
+      resetAnim(SCRATCH, config);
+      base = { ...puppetState(SCRATCH), mounts: {}, x, ground: -ground(x), height: -ground(x) };
+      clearRAM(SCRATCH, SCRATCH + PUPPET_STRIDE);
+      if (state.ground !== undefined) base.height = state.ground;
+    }
+    const full = { ...base, ...state, actor: key, params: { ...base.params, ...state.params } };
+    const { machine } = config;
+    for (const name of [full.anim, full.animFrom]) {
+      if (!(name in machine.index)) throw new Error(`Lathe: actor "${key}" has no animation state "${name}" (states: ${machine.names.join(', ')})`);
+    }
+    for (const name in full.params) {
+      if (!machine.params.includes(name)) throw new Error(`Lathe: actor "${key}" has no animation param "${name}" (declared: ${machine.params.join(', ') || 'none'})`);
+    }
+    for (const name in PUPPET_FIELDS) {
+      const v = full[name];
+      if (PUPPET_FIELDS[name][1] === 'flag' ? typeof v !== 'boolean' : !Number.isFinite(v)) throw new Error(`Lathe: puppet state field "${name}" is invalid (${v})`);
+    }
+    if (!Array.isArray(full.segYaws)) throw new Error('Lathe: puppet state segYaws must be an array');
+    return full;
+  };
+
+  const writePuppet = (slot, state) => {
+    const b = PUPPET_BASE + slot * PUPPET_STRIDE;
+    const config = ACTORS[state.actor];
+    const { machine } = config;
+    clearRAM(b, b + PUPPET_STRIDE);
+    RAM[b + PREG.P_ALIVE] = 1;
+    RAM[b + PREG.P_ACTOR] = actorIndex(state.actor);
+    for (const name in PUPPET_FIELDS) {
+      const v = state[name];
+      const reg = PREG[PUPPET_FIELDS[name][0]];
+      storeOf(reg)[b + reg] = v === true ? 1 : v === false ? 0 : v;
+    }
+    RAM[b + PREG.P_ANIM_STATE] = machine.index[state.anim];
+    RAM[b + PREG.P_ANIM_FROM] = machine.index[state.animFrom];
+    config.segments.forEach((seg, i) => { RAM[b + PREG.P_SEG_ROT + i] = state.segYaws[i] || 0; });
+    machine.params.forEach((name, i) => { RAM[b + PREG.P_ANIM_PARAM + i] = state.params[name]; });
+    if (Object.keys(state.mounts || {}).length) mounts[b] = { ...state.mounts };
+    else delete mounts[b];
+    syncPrev(b);
+    ensureLoaded(state.actor);
+    if (!puppets[slot]) {
+      puppets[slot] = createPuppet(slot);
+      RAM[REG.PUPPET_COUNT]++;
+    }
+    return puppets[slot];
+  };
+
+  const cameraState = () => {
+    const target = RAM[REG.CAM_TARGET] - 1;
+    return {
+      x: compactNumber(RAM[REG.CAM_X]), y: compactNumber(RAM[REG.CAM_Y]), zoom: compactNumber(RAM[REG.ZOOM]),
+      target: puppets[target] ? target : null,
+      deadzone: [compactNumber(RAM[REG.CAM_DEAD_X]), compactNumber(RAM[REG.CAM_DEAD_Y])],
+      smoothing: compactNumber(RAM[REG.CAM_SMOOTH])
+    };
+  };
+
+  // A complete camera state from a partial one over the current camera. Throws before anything is written.
+  const resolveCameraState = (state) => {
+    const full = { ...cameraState(), ...state };
+    const bad = (field) => { throw new Error(`Lathe: camera state field "${field}" is invalid (${JSON.stringify(full[field])})`); };
+    if (!Number.isFinite(full.x)) bad('x');
+    if (!Number.isFinite(full.y)) bad('y');
+    if (!(full.zoom > 0 && Number.isFinite(full.zoom))) bad('zoom');
+    if (full.target !== null && !(Number.isInteger(full.target) && full.target >= 0 && full.target < maxPuppets)) bad('target');
+    if (!(Array.isArray(full.deadzone) && full.deadzone.length === 2 && full.deadzone.every(Number.isFinite))) bad('deadzone');
+    if (!(full.smoothing >= 0 && full.smoothing <= 1)) bad('smoothing');
+    return full;
+  };
+
+  // The scene as a state (LatheState.js); `puppets` limits it to those ids.
+  const snapshot = ({ puppets: ids = null } = {}) => {
+    const state = { version: STATE_VERSION, tick: ticks, camera: cameraState(), puppets: {} };
+    for (const puppet of getPuppets()) {
+      if (!ids || ids.includes(puppet.id)) state.puppets[puppet.id] = puppetState(puppet.base);
+    }
+    return state;
+  };
+
+  // Restores a scene state: its puppets are spawned or overwritten in their slots, and
+  // with `prune` any other puppet is despawned. Puppet states may be partial (see
+  // puppet.restore). Everything is checked before the scene changes.
+  const restore = (state, { prune = true } = {}) => {
+    if (replay) throw new Error('Lathe: cannot restore state during a replay');
+    if (!state || state.version !== STATE_VERSION) throw new Error(`Lathe: unsupported state version ${state ? state.version : state}`);
+    const resolved = Object.entries(state.puppets || {}).map(([id, puppetSpec]) => {
+      const slot = +id;
+      if (!(Number.isInteger(slot) && slot >= 0 && slot < maxPuppets)) throw new Error(`Lathe: puppet id ${id} is out of range (maxPuppets: ${maxPuppets})`);
+      return [slot, resolvePuppetState(PUPPET_BASE + slot * PUPPET_STRIDE, puppetSpec)];
+    });
+    if (state.tick !== undefined && !(Number.isInteger(state.tick) && state.tick >= 0)) throw new Error(`Lathe: state tick is invalid (${state.tick})`);
+    const cam = state.camera ? resolveCameraState(state.camera) : null;
+    if (prune) {
+      for (const puppet of getPuppets()) if (!(puppet.id in (state.puppets || {}))) despawn(puppet);
+    }
+    for (const [slot, puppetSpec] of resolved) writePuppet(slot, puppetSpec);
+    if (state.tick !== undefined) ticks = state.tick;
+    if (cam) {
+      moveCamera(cam.x, cam.y);
+      RAM[REG.ZOOM] = PREV[REG.ZOOM] = cam.zoom;
+      RAM[REG.CAM_TARGET] = cam.target !== null && puppets[cam.target] ? cam.target + 1 : 0;
+      [RAM[REG.CAM_DEAD_X], RAM[REG.CAM_DEAD_Y]] = cam.deadzone;
+      RAM[REG.CAM_SMOOTH] = cam.smoothing;
+    }
+  };
+
+  // Guides over every puppet (see LatheInspector.js); heads draw at half alpha to show the join.
+  const setDebugView = (on) => { debugView = !!on; };
+
+  const dispose = () => {
+    for (const puppet of getPuppets()) despawn(puppet);
+    for (const key in sheets) releaseSheet(key);
+    for (const key in attachmentSheets) releaseAttachment(key);
+    for (const key in listeners) delete listeners[key];
+    backend.dispose();
+    analysisBuffer.width = 0; analysisBuffer.height = 0;
+    dropLit();
+  };
+
+  return {
+    canvas, ram: RAM, clocks: CLOCKS, backend: backend.name, clock, camera,
+    registerActor, tuneActor, exportActor, loadActor, loadAll, addBundle, getActor,
+    registerAttachment, loadAttachment, getSheet, spawn, despawn, getPuppets, step, tick, render, renderPose, on,
+    startRecording, stopRecording, playRecording, stopReplay, isReplaying, snapshot, restore,
+    setLighting, setGround, setDebugView, setQuality, getQuality, actorBounds, resize, getDisplay, dispose
+  };
+};
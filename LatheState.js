@@ -0,0 +1,335 @@
+/**
+ * Lathe.js // STATE
+ * Typed snapshots of a scene or a puppet in place of raw RAM indices, for save
+ * games, undo in tools and network sync. lathe.snapshot() / lathe.restore(state)
+ * and puppet.snapshot() / puppet.restore(state) read and write them; this module
+ * diffs, interpolates, encodes and syncs them. States are plain JSON.
+ * * SCENE STATE:
+ * - { version, tick, camera: { x, y, zoom, target, deadzone: [x, y], smoothing }, puppets: { id: puppet } }
+ *   target is the followed puppet's id or null; puppet ids are engine slots, so peers
+ *   syncing a scene should spawn in the same order.
+ * * PUPPET STATE:
+ * - actor, mounts ({ socket: attachment key }), every PUPPET_FIELDS name, anim / animFrom
+ *   (state names), segYaws (lagging segment yaws, per segment) and params ({ name: value }).
+ *   height is PY: negative is up, `ground` the ground under it, so a jump's phase is
+ *   height and vy. puppet.restore() takes any subset and keeps the rest.
+ * * ENCODING:
+ * - encodeState(value, { format: 'json' | 'binary' }) / decodeState(data) for states,
+ *   deltas and sync messages. Snapshots hold the shortest decimals that read back to
+ *   the same Float32 RAM (clock fields are kept whole), so JSON round trips exactly;
+ *   binary packs small integers in one byte, numbers that are such a decimal as
+ *   float32 (read back to it), others as float64, and known keys as one byte each.
+ * - diffState(a, b) is what changed from a to b (a `$del` list names removed keys,
+ *   since null is a real value: camera.target when not following);
+ *   applyDelta(a, delta) rebuilds b. interpolateState(a, b, t) blends two snapshots.
+ * * SYNC:
+ * - createSyncHost(lathe, transport) publishes keyframes and deltas after each step;
+ *   createSyncClient(lathe, { transport }) rebuilds them and applies the state,
+ *   interpolated between the last two. A transport is { send(message), onMessage(fn) };
+ *   createLoopback() is an in-process pair.
+ */
+
+export const STATE_VERSION = 1;
+
+/**
+ * Puppet fields: RAM register (a PREG name) and how interpolation treats it.
+ * 'lerp' blends, 'step' and 'flag' (a boolean) switch halfway, 'clock' blends
+ * only while both snapshots are in the same animation states.
+ */
+export const PUPPET_FIELDS = {
+  x: ['PX', 'lerp'], z: ['PZ', 'lerp'], height: ['PY', 'lerp'], ground: ['P_GND_Y', 'lerp'],
+  vx: ['P_VEL', 'lerp'], vy: ['P_YVEL', 'lerp'],
+  yaw: ['PH_ROT', 'lerp'], bodyYaw: ['PB_ROT', 'lerp'], pitch: ['P_PITCH', 'lerp'],
+  targetYaw: ['P_TARGET_ROT', 'lerp'], targetPitch: ['P_TARGET_PITCH', 'lerp'],
+  tracking: ['P_IS_TOUCHING', 'flag'],
+  lateral: ['P_LAST_LATERAL_DIR', 'step'], clock: ['P_CLOCK', 'lerp'],
+  airYaw: ['P_LATCH_ROT_AIR', 'step'], airPitch: ['P_LATCH_PITCH_AIR', 'step'],
+  bodyFrame: ['P_LATCH_FRAME_BODY', 'step'], headFrame: ['P_LATCH_FRAME_HEAD', 'step'],
+  animTime: ['P_ANIM_TIME', 'clock'], animFromTime: ['P_ANIM_FROM_TIME', 'clock'],
+  animFade: ['P_ANIM_FADE', 'clock'], animFadeMs: ['P_ANIM_FADE_MS', 'step'], animStep: ['P_ANIM_STEP', 'step']
+};
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// The shortest decimal that reads back as the same float32, so JSON stays small and
+// exact (bar -0, which JSON cannot hold and which is read as 0).
+export const compactNumber = (v) => {
+  const f = Math.fround(v) || 0;
+  for (let digits = 6; digits < 9; digits++) {
+    const n = +f.toPrecision(digits);
+    if (Math.fround(n) === f) return n;
+  }
+  return f;
+};
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((v, i) => sameValue(v, b[i]));
+  return a === b;
+};
+
+const DELETED = '$del';
+
+const diffObject = (from, to) => {
+  const delta = {};
+  let changed = false;
+  for (const key in to) {
+    const a = from[key], b = to[key];
+    if (isObject(a) && isObject(b)) {
+      const d = diffObject(a, b);
+      if (d) { delta[key] = d; changed = true; }
+    } else if (!sameValue(a, b)) { delta[key] = b; changed = true; }
+  }
+  const removed = Object.keys(from).filter((key) => !(key in to));
+  if (removed.length) { delta[DELETED] = removed; changed = true; }
+  return changed ? delta : null;
+};
+
+// What changed from `from` to `to`: changed leaves, whole arrays, and per object a
+// DELETED ('$del') list of the keys it lost.
+export const diffState = (from, to) => diffObject(from || {}, to) || {};
+
+// `state` with `delta` (from diffState) applied; neither is modified.
+export const applyDelta = (state, delta) => {
+  const out = { ...state };
+  for (const key of delta[DELETED] || []) delete out[key];
+  for (const key in delta) {
+    const d = delta[key];
+    if (key === DELETED) continue;
+    if (isObject(d)) out[key] = applyDelta(isObject(out[key]) ? out[key] : {}, d);
+    else out[key] = d;
+  }
+  return out;
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const pick = (a, b, t) => (t < 0.5 ? a : b);
+
+const interpolatePuppet = (a, b, t) => {
+  if (a.actor !== b.actor) return pick(a, b, t);
+  const sameAnim = a.anim === b.anim && a.animFrom === b.animFrom;
+  const out = { ...pick(a, b, t) };
+  for (const name in PUPPET_FIELDS) {
+    if (typeof a[name] !== 'number' || typeof b[name] !== 'number') continue;
+    const kind = PUPPET_FIELDS[name][1];
+    if (kind === 'lerp' || (kind === 'clock' && sameAnim)) out[name] = lerp(a[name], b[name], t);
+  }
+  if (a.segYaws && b.segYaws && a.segYaws.length === b.segYaws.length) out.segYaws = a.segYaws.map((v, i) => lerp(v, b.segYaws[i], t));
+  return out;
+};
+
+/**
+ * Blends two snapshots of the same scene (or puppet) at t in 0..1: positions, yaws,
+ * pitch and clocks blend; the tick, discrete fields, animation states and puppets
+ * present in only one of them switch at t = 0.5.
+ */
+export const interpolateState = (a, b, t) => {
+  if (!a || t >= 1) return b;
+  if (t <= 0) return a;
+  if (!b.puppets) return interpolatePuppet(a, b, t);
+  const puppets = {};
+  for (const id in b.puppets) {
+    if (a.puppets[id]) puppets[id] = interpolatePuppet(a.puppets[id], b.puppets[id], t);
+    else if (t >= 0.5) puppets[id] = b.puppets[id];
+  }
+  for (const id in a.puppets) if (!b.puppets[id] && t < 0.5) puppets[id] = a.puppets[id];
+  const camera = a.camera && b.camera ? {
+    ...pick(a.camera, b.camera, t),
+    x: lerp(a.camera.x, b.camera.x, t), y: lerp(a.camera.y, b.camera.y, t), zoom: lerp(a.camera.zoom, b.camera.zoom, t)
+  } : b.camera;
+  return { ...b, tick: t < 0.5 ? a.tick : b.tick, camera, puppets };
+};
+
+// --- BINARY ---
+// Keys written as one byte. Appending is safe; reordering or removing needs a new STATE_VERSION.
+const KEYS = [
+  'version', 'tick', 'camera', 'puppets', 'target', 'deadzone', 'smoothing', 'zoom', 'y',
+  'actor', 'mounts', 'anim', 'animFrom', 'segYaws', 'params',
+  'type', 'base', 'state', 'delta',
+  // Puppet fields; retired ones (synced, jumpStart, jumpBodyFrame, jumpHeadFrame) keep their codes
+  'x', 'z', 'height', 'ground', 'vx', 'vy', 'yaw', 'bodyYaw', 'pitch', 'targetYaw', 'targetPitch',
+  'tracking', 'synced', 'lateral', 'clock', 'jumpStart', 'airYaw', 'airPitch', 'bodyFrame', 'headFrame',
+  'jumpBodyFrame', 'jumpHeadFrame', 'animTime', 'animFromTime', 'animFade', 'animFadeMs', 'animStep',
+  DELETED
+];
+const KEY_INDEX = new Map(KEYS.map((key, i) => [key, i]));
+const MAGIC = [0x4c, 0x54]; // 'LT'
+const TAG = { NULL: 0, FALSE: 1, TRUE: 2, UINT8: 3, NEG8: 4, FLOAT32: 5, FLOAT64: 6, STRING: 7, ARRAY: 8, OBJECT: 9 };
+
+const encodeBinary = (value) => {
+  const bytes = [...MAGIC, STATE_VERSION];
+  const scratch = new DataView(new ArrayBuffer(8));
+  const varint = (n) => {
+    while (n >= 0x80) { bytes.push((n & 0x7f) | 0x80); n = Math.floor(n / 0x80); }
+    bytes.push(n);
+  };
+  const string = (s) => {
+    const utf8 = new TextEncoder().encode(s);
+    varint(utf8.length);
+    for (const b of utf8) bytes.push(b);
+  };
+  const write = (v) => {
+    if (v === null || v === undefined) bytes.push(TAG.NULL);
+    else if (v === false || v === true) bytes.push(v ? TAG.TRUE : TAG.FALSE);
+    else if (typeof v === 'number') {
+      if (Number.isInteger(v) && Math.abs(v) <= 255 && !Object.is(v, -0)) bytes.push(v >= 0 ? TAG.UINT8 : TAG.NEG8, Math.abs(v));
+      else if (compactNumber(Math.fround(v)) === v || Number.isNaN(v)) {
+        scratch.setFloat32(0, v);
+        bytes.push(TAG.FLOAT32, scratch.getUint8(0), scratch.getUint8(1), scratch.getUint8(2), scratch.getUint8(3));
+      } else {
+        scratch.setFloat64(0, v);
+        bytes.push(TAG.FLOAT64);
+        for (let i = 0; i < 8; i++) bytes.push(scratch.getUint8(i));
+      }
+    } else if (typeof v === 'string') { bytes.push(TAG.STRING); string(v); }
+    else if (Array.isArray(v)) { bytes.push(TAG.ARRAY); varint(v.length); v.forEach(write); }
+    else if (typeof v === 'object') {
+      const keys = Object.keys(v);
+      bytes.push(TAG.OBJECT); varint(keys.length);
+      for (const key of keys) {
+        // Known keys are their index; others follow as a string, length offset past the table
+        if (KEY_INDEX.has(key)) varint(KEY_INDEX.get(key));
+        else {
+          const utf8 = new TextEncoder().encode(key);
+          varint(KEYS.length + utf8.length);
+          for (const b of utf8) bytes.push(b);
+        }
+        write(v[key]);
+      }
+    } else throw new Error(`Lathe state: cannot encode a ${typeof v}`);
+  };
+  write(value);
+  return Uint8Array.from(bytes);
+};
+
+const decodeBinary = (bytes) => {
+  if (bytes[0] !== MAGIC[0] || bytes[1] !== MAGIC[1]) throw new Error('Lathe state: not a binary Lathe state');
+  if (bytes[2] !== STATE_VERSION) throw new Error(`Lathe state: unsupported binary version ${bytes[2]}`);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  let at = 3;
+  const need = (n) => { if (at + n > bytes.length) throw new Error('Lathe state: truncated binary state'); };
+  const varint = () => {
+    let n = 0, scale = 1, b;
+    do { need(1); b = bytes[at++]; n += (b & 0x7f) * scale; scale *= 0x80; } while (b & 0x80);
+    return n;
+  };
+  const text = (length) => { need(length); const s = decoder.decode(bytes.subarray(at, at + length)); at += length; return s; };
+  const read = () => {
+    need(1);
+    const tag = bytes[at++];
+    switch (tag) {
+      case TAG.NULL: return null;
+      case TAG.FALSE: return false;
+      case TAG.TRUE: return true;
+      case TAG.UINT8: need(1); return bytes[at++];
+      case TAG.NEG8: need(1); return -bytes[at++];
+      case TAG.FLOAT32: { need(4); const v = view.getFloat32(at); at += 4; return Number.isNaN(v) || v === 0 ? v : compactNumber(v); }
+      case TAG.FLOAT64: { need(8); const v = view.getFloat64(at); at += 8; return v; }
+      case TAG.STRING: return text(varint());
+      case TAG.ARRAY: { const n = varint(), out = []; for (let i = 0; i < n; i++) out.push(read()); return out; }
+      case TAG.OBJECT: {
+        const n = varint(), out = {};
+        for (let i = 0; i < n; i++) {
+          const k = varint();
+          const key = k < KEYS.length ? KEYS[k] : text(k - KEYS.length);
+          out[key] = read();
+        }
+        return out;
+      }
+      default: throw new Error(`Lathe state: unknown binary tag ${tag}`);
+    }
+  };
+  const value = read();
+  if (at !== bytes.length) throw new Error('Lathe state: trailing bytes after binary state');
+  return value;
+};
+
+// A state, delta or sync message as a JSON string or compact bytes (Uint8Array).
+export const encodeState = (value, { format = 'json' } = {}) => {
+  if (format === 'binary') return encodeBinary(value);
+  if (format === 'json') return JSON.stringify(value);
+  throw new Error(`Lathe state: unknown format "${format}" (expected json or binary)`);
+};
+
+// Reads what encodeState wrote: a JSON string, or binary as a Uint8Array or ArrayBuffer.
+export const decodeState = (data) => {
+  if (typeof data === 'string') return JSON.parse(data);
+  if (data instanceof ArrayBuffer) return decodeBinary(new Uint8Array(data));
+  if (ArrayBuffer.isView(data)) return decodeBinary(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  throw new Error('Lathe state: expected a JSON string or bytes');
+};
+
+// --- SYNC ---
+
+/**
+ * Host end: publish() after each step sends the scene (or the `puppets` ids only) as a
+ * keyframe every `keyframeEvery` ticks and as a delta on the last message otherwise.
+ * Deltas assume an in-order transport; a client that misses one waits for the next keyframe.
+ */
+export const createSyncHost = (lathe, transport, { keyframeEvery = 60, format = 'binary', puppets = null } = {}) => {
+  let last = null, lastKeyframe = -Infinity;
+  const publish = () => {
+    const state = lathe.snapshot({ puppets });
+    const keyframe = !last || state.tick < last.tick || state.tick - lastKeyframe >= keyframeEvery;
+    const message = keyframe ? { type: 'key', state } : { type: 'delta', base: last.tick, delta: diffState(last, state) };
+    if (keyframe) lastKeyframe = state.tick;
+    last = state;
+    transport.send(encodeState(message, { format }));
+    return message;
+  };
+  // The next publish() sends a keyframe (a peer joined or asked to resync)
+  const keyframe = () => { last = null; };
+  return { publish, keyframe };
+};
+
+/**
+ * Client end: rebuilds states from a host's messages (through `transport`, or passed to
+ * receive()) and apply(t) restores them into `lathe`, blended between the last two
+ * received (t = 1 is the latest). `prune` despawns puppets the host does not send;
+ * turn it off when the host only sends some of them.
+ */
+export const createSyncClient = (lathe, { transport = null, interpolate = true, prune = true, onState = null } = {}) => {
+  let previous = null, latest = null;
+  const receive = (data) => {
+    const message = decodeState(data);
+    let state = null;
+    if (message.type === 'key') state = message.state;
+    else if (message.type === 'delta' && latest && latest.tick === message.base) state = applyDelta(latest, message.delta);
+    if (!state) return null;
+    previous = message.type === 'key' && latest && state.tick < latest.tick ? null : latest;
+    latest = state;
+    if (onState) onState(state);
+    return state;
+  };
+  const apply = (t = 1) => {
+    if (!latest) return null;
+    const state = interpolate && previous ? interpolateState(previous, latest, t) : latest;
+    lathe.restore(state, { prune });
+    return state;
+  };
+  const off = transport ? transport.onMessage(receive) : null;
+  return {
+    receive, apply,
+    get latest() { return latest; },
+    dispose: () => { if (off) off(); }
+  };
+};
+
+/**
+ * An in-process transport pair, [a, b]: what one end sends reaches the other's
+ * onMessage handlers on a later microtask, as from a socket. Bytes are copied.
+ */
+export const createLoopback = () => {
+  const handlers = [new Set(), new Set()];
+  const end = (self) => ({
+    send: (message) => {
+      const copy = typeof message === 'string' ? message : message.slice();
+      queueMicrotask(() => handlers[1 - self].forEach((fn) => fn(copy)));
+    },
+    onMessage: (fn) => {
+      handlers[self].add(fn);
+      return () => handlers[self].delete(fn);
+    }
+  });
+  return [end(0), end(1)];
+};
@@ -0,0 +1,308 @@
+/**
+ * Lathe.js // WEBGL BACKEND
+ * GPU version of the vertical-strip wrap. Each source column (and each row chunk,
+ * 1px or quality.chunk, in accordion / pitch / taper mode) becomes one instanced quad; the vertex
+ * shader does the cylinder/sphere-bulge/taper mapping, pitch roll and accordion
+ * wave that drawStrips2D does on the CPU. Lighting arrives baked into the layer's
+ * bitmap (see LatheLighting.js).
+ * * NOTES:
+ * - Needs WebGL2 (instancing). createWebGLBackend returns null otherwise (or when
+ *   the shaders fail to link, passing the reason to `onFail`) and createLathe falls
+ *   back to Canvas2D.
+ * - Strips the Canvas2D path draws twice (z > 0.45) are drawn once with the
+ *   equivalent combined alpha, so output matches closely but not bit-exactly.
+ * - Lit frames come from the renderer's cache, so each uploads once; evicted ones
+ *   are released like sheets.
+ */
+
+const VERTEX_SRC = `#version 300 es
+layout(location = 0) in vec2 aCorner;
+layout(location = 1) in vec3 aStrip; // column, rowA, rowB (cell rows)
+
+uniform vec2 uView;
+uniform vec2 uCell;        // cellW, cellH
+uniform vec4 uFrame;       // x, y, w, h in the sheet
+uniform vec2 uFrameOffset; // ox, oy inside the cell
+uniform vec2 uTexSize;
+uniform float uArc, uRotRad, uRadConst, uCenterX;
+uniform float uSphere, uEdgeSkip, uTaperTop, uFlip;
+uniform float uDyBase, uCurrentH, uYStart, uVHeight;
+uniform float uBend, uPitchConst, uAccordion, uTime, uSSAA;
+uniform float uPitchRot, uNeckAnchor, uAlpha;
+
+out vec2 vUV;
+out float vAlpha;
+
+const float PI = 3.141592653589793;
+
+float rowY(float row) {
+  float y = uDyBase + (row / uCell.y) * uCurrentH;
+  if (uBend > 0.5) {
+    float rel = row - uYStart;
+    y += sin((rel / uVHeight - 0.5) * PI) * uPitchConst;
+    if (uAccordion > 0.5) {
+      float mask = sin((rel / uVHeight) * PI);
+      float wave = sin((uTime * 0.002) + (row * 0.15));
+      y += wave * mask * 0.5 * uSSAA;
+    }
+  }
+  return y;
+}
+
+void main() {
+  float i = aStrip.x;
+  float normI = (i / uCell.x) - 0.5;
+  float sphereBulge = uSphere > 0.5 ? cos(normI * PI) * 0.15 : 0.0;
+  float adjustedNormI = normI + (normI * sphereBulge);
+
+  float angle = adjustedNormI * uArc + uRotRad;
+  float z = cos(angle);
+  float rDamp = uSphere > 0.5 ? (0.86 + (z * 0.14)) : 1.0;
+  // Cones and tapers narrow towards the segment's top row (chunk midpoint, as on the CPU)
+  float along = ((aStrip.y + aStrip.z) * 0.5 - uYStart) / uVHeight;
+  float radius = uTaperTop != 1.0 ? uRadConst * (uTaperTop + (1.0 - uTaperTop) * along) : uRadConst;
+  float dx = floor(uCenterX + sin(angle) * radius * rDamp + 0.5);
+  float nextAngle = (adjustedNormI + (1.0 / uCell.x)) * uArc + uRotRad;
+  float nextDx = floor(uCenterX + sin(nextAngle) * radius * rDamp + 0.5);
+  float stripW = ceil(abs(nextDx - dx) + 1.2);
+
+  float sourceXI = uFlip > 0.5 ? (uCell.x - 1.0 - i) : i;
+  float srcCol = sourceXI - uFrameOffset.x;
+
+  bool culled = z < -0.1 || srcCol < 0.0 || srcCol >= uFrame.z
+    || i < uEdgeSkip || i >= uCell.x - uEdgeSkip;
+  if (culled) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    vUV = vec2(0.0); vAlpha = 0.0;
+    return;
+  }
+
+  float alpha = uAlpha;
+  float w = stripW;
+  if (z > 0.45) { alpha = 1.0 - (1.0 - alpha) * (1.0 - alpha); w += 0.6; }
+
+  float yA = rowY(aStrip.y), yB = rowY(aStrip.z);
+  float h = uBend > 0.5 ? max(1.0, ceil(yB - yA + 1.0)) : (yB - yA);
+  vec2 p = vec2(dx + aCorner.x * w, yA + aCorner.y * h);
+
+  // Pitch: rotate about the segment's pivot under this column
+  if (uPitchRot != 0.0) {
+    vec2 pivot = vec2(dx, uNeckAnchor);
+    vec2 d = p - pivot;
+    float c = cos(uPitchRot), s = sin(uPitchRot);
+    p = pivot + vec2(c * d.x - s * d.y, s * d.x + c * d.y);
+  }
+
+  float srcY = uFrame.y + aStrip.y - uFrameOffset.y;
+  vUV = vec2((uFrame.x + srcCol + 0.5) / uTexSize.x, (srcY + aCorner.y * (aStrip.z - aStrip.y)) / uTexSize.y);
+  vAlpha = alpha;
+  gl_Position = vec4(p.x / uView.x * 2.0 - 1.0, 1.0 - p.y / uView.y * 2.0, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SRC = `#version 300 es
+precision highp float;
+uniform sampler2D uTex;
+in vec2 vUV;
+in float vAlpha;
+out vec4 outColor;
+
+void main() {
+  vec4 t = texture(uTex, vUV);
+  outColor = vec4(t.rgb * t.a, t.a) * vAlpha;
+}`;
+
+const UNIFORMS = [
+  'uView', 'uCell', 'uFrame', 'uFrameOffset', 'uTexSize',
+  'uArc', 'uRotRad', 'uRadConst', 'uCenterX', 'uSphere', 'uEdgeSkip', 'uTaperTop', 'uFlip',
+  'uDyBase', 'uCurrentH', 'uYStart', 'uVHeight',
+  'uBend', 'uPitchConst', 'uAccordion', 'uTime', 'uSSAA',
+  'uPitchRot', 'uNeckAnchor', 'uAlpha', 'uTex'
+];
+
+const compile = (gl, type, src) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, src);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Lathe WebGL: shader compile failed: ${log}`);
+  }
+  return shader;
+};
+
+const link = (gl) => {
+  const program = gl.createProgram();
+  const vs = compile(gl, gl.VERTEX_SHADER, VERTEX_SRC);
+  const fs = compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SRC);
+  gl.attachShader(program, vs); gl.attachShader(program, fs);
+  gl.linkProgram(program);
+  gl.deleteShader(vs); gl.deleteShader(fs);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Lathe WebGL: program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+};
+
+// Row ranges a layer is drawn in, clipped to the frame's trimmed rows (same chunking as drawStrips2D).
+const layerRows = (layer, bend) => {
+  const { frame, yStart, yEnd, isAccordionActive, chunkRows } = layer;
+  const frameTop = frame.oy, frameBot = frame.oy + frame.h;
+  const rows = [];
+  if (!bend) {
+    const rowA = Math.max(yStart, frameTop), rowB = Math.min(yEnd, frameBot);
+    if (rowB > rowA) rows.push(rowA, rowB);
+    return rows;
+  }
+  const CHUNK_SIZE = isAccordionActive ? 1 : chunkRows;
+  const vHeight = yEnd - yStart;
+  for (let s = 0; s < vHeight; s += CHUNK_SIZE) {
+    const rowA = Math.max(yStart + s, frameTop);
+    const rowB = Math.min(yStart + s + Math.min(CHUNK_SIZE, vHeight - s), frameBot);
+    if (rowB > rowA) rows.push(rowA, rowB);
+  }
+  return rows;
+};
+
+/**
+ * Creates the WebGL2 strip backend rendering into its own width×height canvas,
+ * or returns null when WebGL2 is not available; `onFail(reason)` hears why.
+ */
+export const createWebGLBackend = (createCanvas, width, height, onFail = null) => {
+  const buffer = createCanvas(width, height);
+  const gl = buffer.getContext && buffer.getContext('webgl2', {
+    alpha: true, premultipliedAlpha: true, antialias: false, preserveDrawingBuffer: true
+  });
+  if (!gl) {
+    if (onFail) onFail('WebGL2 is not available');
+    return null;
+  }
+
+  let program;
+  try { program = link(gl); }
+  catch (e) {
+    if (onFail) onFail(e.message);
+    return null;
+  }
+
+  const loc = {};
+  for (const name of UNIFORMS) loc[name] = gl.getUniformLocation(program, name);
+
+  const vao = gl.createVertexArray();
+  gl.bindVertexArray(vao);
+
+  const cornerBuf = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuf);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+
+  const stripBuf = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, stripBuf);
+  gl.enableVertexAttribArray(1);
+  gl.vertexAttribPointer(1, 3, gl.FLOAT, false, 0, 0);
+  gl.vertexAttribDivisor(1, 1);
+  gl.bindVertexArray(null);
+
+  let strips = new Float32Array(3 * 1024);
+  const textures = new Map();
+
+  const textureFor = (bitmap) => {
+    let tex = textures.get(bitmap);
+    if (tex) return tex;
+    tex = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, bitmap);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    textures.set(bitmap, tex);
+    return tex;
+  };
+
+  // Clears the whole buffer; the renderer only reads back the part it drew
+  const begin = () => {
+    gl.viewport(0, 0, buffer.width, buffer.height);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  };
+
+  const resize = (width, height) => { buffer.width = width; buffer.height = height; };
+
+  const drawLayer = (bitmap, layer) => {
+    const bend = !(layer.useSmartStrip && !layer.isAccordionActive && layer.taperTop === 1);
+    const rows = layerRows(layer, bend);
+    const count = layer.cellW * (rows.length / 2);
+    if (!count) return;
+
+    // Column-major, like the Canvas2D loop, so blending order matches
+    if (strips.length < count * 3) strips = new Float32Array(count * 3 * 2);
+    let n = 0;
+    for (let i = 0; i < layer.cellW; i++) {
+      for (let r = 0; r < rows.length; r += 2) {
+        strips[n++] = i; strips[n++] = rows[r]; strips[n++] = rows[r + 1];
+      }
+    }
+
+    const { frame } = layer;
+    gl.useProgram(program);
+    gl.bindVertexArray(vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, stripBuf);
+    gl.bufferData(gl.ARRAY_BUFFER, strips.subarray(0, n), gl.STREAM_DRAW);
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, textureFor(bitmap));
+    gl.uniform1i(loc.uTex, 0);
+
+    gl.uniform2f(loc.uView, buffer.width, buffer.height);
+    gl.uniform2f(loc.uCell, layer.cellW, layer.cellH);
+    gl.uniform4f(loc.uFrame, frame.x, frame.y, frame.w, frame.h);
+    gl.uniform2f(loc.uFrameOffset, frame.ox, frame.oy);
+    gl.uniform2f(loc.uTexSize, bitmap.width, bitmap.height);
+    gl.uniform1f(loc.uArc, layer.arc);
+    gl.uniform1f(loc.uRotRad, layer.rotRad);
+    gl.uniform1f(loc.uRadConst, layer.radConst);
+    gl.uniform1f(loc.uCenterX, layer.centerX);
+    gl.uniform1f(loc.uSphere, layer.profile === 'sphere' ? 1 : 0);
+    gl.uniform1f(loc.uEdgeSkip, layer.edgeSkip);
+    gl.uniform1f(loc.uTaperTop, layer.taperTop);
+    gl.uniform1f(loc.uFlip, layer.isFlipped ? 1 : 0);
+    gl.uniform1f(loc.uDyBase, layer.dyBase);
+    gl.uniform1f(loc.uCurrentH, layer.currentH);
+    gl.uniform1f(loc.uYStart, layer.yStart);
+    gl.uniform1f(loc.uVHeight, layer.yEnd - layer.yStart);
+    gl.uniform1f(loc.uBend, bend ? 1 : 0);
+    gl.uniform1f(loc.uPitchConst, layer.pitchConst);
+    gl.uniform1f(loc.uAccordion, layer.isAccordionActive ? 1 : 0);
+    gl.uniform1f(loc.uTime, layer.time);
+    gl.uniform1f(loc.uSSAA, layer.ssaa);
+    gl.uniform1f(loc.uPitchRot, layer.pitchRot);
+    gl.uniform1f(loc.uNeckAnchor, layer.neckAnchor);
+    gl.uniform1f(loc.uAlpha, layer.alpha);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+    gl.bindVertexArray(null);
+  };
+
+  // Drops the cached texture for a bitmap that is being replaced or closed.
+  const release = (bitmap) => {
+    const tex = textures.get(bitmap);
+    if (tex) gl.deleteTexture(tex);
+    textures.delete(bitmap);
+  };
+
+  const dispose = () => {
+    for (const tex of textures.values()) gl.deleteTexture(tex);
+    textures.clear();
+    gl.deleteBuffer(cornerBuf); gl.deleteBuffer(stripBuf);
+    gl.deleteVertexArray(vao);
+    gl.deleteProgram(program);
+    buffer.width = 0; buffer.height = 0;
+  };
+
+  return { name: 'webgl', canvas: buffer, begin, resize, drawLayer, release, dispose };
+};
@@ -0,0 +1,81 @@
+/**
+ * Lathe.js // WORLD
+ * Ground, camera and shadow helpers for the world-space scene. Puppets walk
+ * along x, stand on `ground(x)` and are seen through a camera that follows one
+ * of them; the renderer owns the state (REG.CAM_*, PREG.P_GND_Y), this module
+ * owns the maths.
+ * * GROUND:
+ * - A ground is a function x => height in world px above the baseline (up is positive).
+ *   It runs inside the simulation, so it must be deterministic for replays.
+ * - createHeightmap([0, 12, 30, 12], { spacing: 64 }) interpolates samples linearly.
+ * - createTileGround(['.....##', '..#####'], { tileW: 16, tileH: 16 }) stands on the
+ *   topmost solid tile ('#' or any non-space, non-'.' char) of each column.
+ * * CAMERA:
+ * - followAxis moves one camera axis just enough to keep the target inside the
+ *   deadzone, closing `smoothing` of the gap per tick (1 = locked on).
+ */
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+export const FLAT_GROUND = () => 0;
+
+// Linear heightmap; x outside the samples holds the end heights.
+export const createHeightmap = (heights, { spacing = 32, originX = 0 } = {}) => {
+  if (!Array.isArray(heights) || !heights.length || !heights.every(isNum)) throw new Error('Lathe world: heightmap needs a non-empty array of numbers');
+  if (!(isNum(spacing) && spacing > 0)) throw new Error('Lathe world: heightmap spacing must be a positive number');
+  const last = heights.length - 1;
+  return (x) => {
+    const u = (x - originX) / spacing;
+    if (u <= 0) return heights[0];
+    if (u >= last) return heights[last];
+    const i = Math.floor(u);
+    return heights[i] + (heights[i + 1] - heights[i]) * (u - i);
+  };
+};
+
+// Tile layer given as rows of characters, top row first; the bottom row sits on the baseline.
+export const createTileGround = (rows, { tileW = 16, tileH = 16, originX = 0 } = {}) => {
+  if (!Array.isArray(rows) || !rows.length || !rows.every((r) => typeof r === 'string')) throw new Error('Lathe world: tile ground needs an array of row strings');
+  if (!(isNum(tileW) && tileW > 0 && isNum(tileH) && tileH > 0)) throw new Error('Lathe world: tileW and tileH must be positive numbers');
+  const columns = Math.max(...rows.map((r) => r.length));
+  const heights = Array.from({ length: columns }, (_, c) => {
+    const top = rows.findIndex((r) => r[c] !== undefined && r[c] !== '.' && r[c] !== ' ');
+    return top < 0 ? 0 : (rows.length - top) * tileH;
+  });
+  return (x) => {
+    const c = Math.floor((x - originX) / tileW);
+    return c < 0 || c >= columns ? 0 : heights[c];
+  };
+};
+
+// One camera axis: hold still while the target is inside ±deadzone, then ease towards its edge.
+export const followAxis = (cam, target, deadzone, smoothing) => {
+  const d = target - cam;
+  if (Math.abs(d) <= deadzone) return cam;
+  return cam + (d - Math.sign(d) * deadzone) * smoothing;
+};
+
+/**
+ * Soft elliptical contact shadow centred on (x, y). `height` (world px above the
+ * ground) shrinks and fades it; `yaw` (degrees) stretches it as the puppet turns
+ * side-on and its footprint lengthens.
+ */
+export const drawShadow = (ctx, x, y, { radius, height = 0, yaw = 0, opacity = 0.35, squash = 0.28 }) => {
+  const lift = 1 / (1 + Math.max(0, height) / 60);
+  const rx = radius * (1 + Math.abs(Math.sin(yaw * Math.PI / 180)) * 0.45) * (0.5 + lift * 0.5);
+  const ry = radius * squash * (0.5 + lift * 0.5);
+  const a = opacity * lift;
+  if (rx <= 0 || a <= 0) return;
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.scale(rx, ry);
+  const g = ctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+  g.addColorStop(0, `rgba(0,0,0,${a})`);
+  g.addColorStop(0.6, `rgba(0,0,0,${a * 0.6})`);
+  g.addColorStop(1, 'rgba(0,0,0,0)');
+  ctx.fillStyle = g;
+  ctx.beginPath();
+  ctx.arc(0, 0, 1, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+};
@@ -0,0 +1,213 @@
+// Frame resolution: ping-pong and directional clips, deduplicated sequences and
+// their holds, from the animator's pure functions up to what a puppet draws.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileActor } from '../LatheActorSchema.js';
+import { ACTORS } from '../LatheActors.js';
+import { pickAnim, clipPlaylist, clipCursor } from '../LatheAnimator.js';
+import { clearDedupeCache, dedupeSheet, findDuplicates, foldSequences } from '../LatheDedupe.js';
+import { createCanvas } from './lib/raster.js';
+import { createTestLathe } from './lib/harness.js';
+import { PREG } from '../LatheRenderer.js';
+
+const clipOf = (config, state) => config.machine.states[config.machine.index[state]].clip;
+
+// Runs of equal values: [[value, count], ...]
+const runs = (list) => list.reduce((out, v) => {
+  if (out.length && out[out.length - 1][0] === v) out[out.length - 1][1]++;
+  else out.push([v, 1]);
+  return out;
+}, []);
+
+// Steps a puppet `ticks` times, drawing it small after each, and lists what it drew.
+const drawnFrames = (lathe, puppet, ticks) => {
+  const ctx = createCanvas(64, 64).getContext('2d');
+  ctx.scale(0.1, 0.1);
+  const seen = [];
+  for (let i = 0; i < ticks; i++) {
+    lathe.step();
+    lathe.render(ctx, 320, 320);
+    seen.push(puppet.inspect());
+  }
+  return seen;
+};
+
+test('ping-pong clips play forward then back without repeating the ends', () => {
+  const mummy = compileActor(ACTORS.mummy, 'mummy');
+  const clip = clipOf(mummy, 'walk');
+  assert.equal(clip.loop, 'pingpong');
+  const playlist = clipPlaylist(clip, [10, 11, 12, 13], [], mummy.msWalk);
+  assert.deepEqual(playlist.map((e) => e.seqIdx), [0, 1, 2, 3, 2, 1]);
+  assert.ok(playlist.every((e) => e.ms === mummy.msWalk));
+  // A full cycle later it is back on the first frame and counts as done
+  const cycle = playlist.length * mummy.msWalk;
+  assert.deepEqual(clipCursor(playlist, clip.loop, mummy.msWalk * 4.5), { entry: 4, step: 4, done: false });
+  assert.deepEqual(clipCursor(playlist, clip.loop, cycle + 1), { entry: 0, step: 6, done: true });
+});
+
+test('one-shot clips hold their last frame', () => {
+  const playlist = clipPlaylist({ loop: 'once', ms: 80 }, [1, 2, 3], [], 100);
+  assert.deepEqual(clipCursor(playlist, 'once', 1000), { entry: 2, step: 2, done: true });
+});
+
+test('directional clips pick the sequence for the heading', () => {
+  const dude = compileActor(ACTORS.dude, 'dude');
+  const anims = { WALK_L: [0, 1, 2, 3], WALK_R: [5, 6, 7, 8], IDLE: [4] };
+  assert.equal(pickAnim(clipOf(dude, 'walk'), anims, dude, 30), 'WALK_R');
+  assert.equal(pickAnim(clipOf(dude, 'walk'), anims, dude, -30), 'WALK_L');
+  assert.equal(pickAnim(clipOf(dude, 'idle'), anims, dude, 30), 'IDLE');
+  // Missing sequences fall back to the next candidate, then IDLE
+  assert.equal(pickAnim(clipOf(dude, 'jump-rise'), anims, dude, 30), 'WALK_R');
+  assert.equal(pickAnim({ anim: ['LAND'] }, anims, dude, 0), 'IDLE');
+});
+
+test('deduplication folds repeats into holds', () => {
+  const px = (v) => new Uint8ClampedArray([v, v, v, 255]);
+  const cells = [px(10), px(20), px(20), px(22), null, px(10)];
+  assert.deepEqual([...findDuplicates(cells, 0)], [0, 1, 1, 3, 4, 0]);
+  assert.deepEqual([...findDuplicates(cells, 2)], [0, 1, 1, 1, 4, 0]);
+  const canonical = findDuplicates(cells, 2);
+  assert.deepEqual(foldSequences({ A: [0, 1, 2, 3, 5] }, canonical), { anims: { A: [0, 1, 0] }, holds: { A: [[0], [1, 2, 3], [5]] } });
+  assert.deepEqual(foldSequences({ A: [0, 1, 2, 3, 5] }, canonical, { holds: false }), { anims: { A: [0, 1, 0] }, holds: { A: [[0], [1], [5]] } });
+  // Holds stretch the kept frame over the pause it replaced
+  const holds = [[0], [1, 2, 3], [5]];
+  const playlist = clipPlaylist({ loop: 'loop', ms: 100 }, [0, 1, 0], [], 100, holds);
+  assert.deepEqual(playlist.map((e) => e.ms), [100, 300, 100]);
+  // With atlas timings a hold lasts as long as the frames it folded, each at its own duration
+  const frames = [{ duration: 50 }, { duration: 80 }, { duration: 200 }, {}, {}, { duration: 40 }];
+  const timed = clipPlaylist({ loop: 'loop', ms: null }, [0, 1, 0], frames, 100, holds);
+  assert.deepEqual(timed.map((e) => e.ms), [50, 380, 40]);
+});
+
+test('a sheet deduplicated from a URL is not read again on reload', async () => {
+  const sheet = createCanvas(8, 4);
+  const ctx = sheet.getContext('2d');
+  ctx.fillStyle = '#ff0000';
+  ctx.fillRect(0, 0, 8, 4);
+  const frames = [0, 4].map((x) => ({ x, y: 0, w: 4, h: 4, ox: 0, oy: 0 }));
+  let reads = 0;
+  const counting = (w, h) => { reads++; return createCanvas(w, h); };
+  const load = () => dedupeSheet({ bitmap: sheet, frames, w: 4, h: 4, createCanvas: counting, url: 'sheets/red.png' });
+  clearDedupeCache();
+  assert.deepEqual([...await load()], [0, 0]);
+  assert.ok(reads > 0);
+  reads = 0;
+  assert.deepEqual([...await load()], [0, 0]);
+  assert.equal(reads, 0, 'a cache hit reads no cells');
+  clearDedupeCache();
+});
+
+test('the mummy fixture loads deduplicated and walks ping-pong through it', async () => {
+  const lathe = await createTestLathe();
+  // The fixture repeats frame 3 as 4 and 5, and 11 as 12
+  const sheet = lathe.getSheet('mummy');
+  assert.deepEqual(sheet.anims.WALK, [0, 1, 2, 3, 6, 7, 8, 9, 10, 11, 13, 14, 15, 16, 17]);
+  assert.deepEqual(sheet.holds.WALK.map((refs) => refs.length), [1, 1, 1, 3, 1, 1, 1, 1, 1, 2, 1, 1, 1, 1, 1]);
+  assert.deepEqual(sheet.holds.WALK[3], [3, 4, 5]);
+
+  const mummy = lathe.spawn('mummy');
+  mummy.setPose({ yaw: 30, tracking: true });
+  const seen = drawnFrames(lathe, mummy, 600).filter((info) => info.state === 'walk');
+  const body = runs(seen.map((info) => info.frames.body));
+  const order = body.map(([frame]) => frame);
+  const up = sheet.anims.WALK, down = up.slice(1, -1).reverse();
+  assert.deepEqual(order.slice(0, up.length + down.length + 1), [...up, ...down, up[0]]);
+  // Frame 3 stands for three source frames, so it shows three times as long as frame 2
+  const ticks = (frame) => body.find(([f]) => f === frame)[1];
+  assert.ok(Math.abs(ticks(3) - 3 * ticks(2)) <= 1, `frame 3 held ${ticks(3)} ticks, frame 2 ${ticks(2)}`);
+  assert.ok(seen.every((info) => !info.flipped));
+
+  mummy.setPose({ yaw: -30 });
+  assert.ok(drawnFrames(lathe, mummy, 30).slice(-1)[0].flipped, 'the mummy flips facing left');
+  lathe.dispose();
+});
+
+test('the dude walks on directional sequences and turns his head in profile only when running', async () => {
+  const lathe = await createTestLathe();
+  const dude = lathe.spawn('dude');
+  const heading = (yaw) => {
+    dude.setPose({ yaw, tracking: true });
+    // Settle on the heading, then watch a full walk cycle (4 frames of msWalk)
+    return drawnFrames(lathe, dude, 200).slice(-150);
+  };
+  const frames = (list, part) => [...new Set(list.map((info) => info.frames[part]))].sort((a, b) => a - b);
+
+  const right = heading(35);
+  assert.ok(right.every((info) => info.state === 'walk' && !info.profile));
+  assert.deepEqual(frames(right, 'body'), [5, 6, 7, 8]);
+  assert.deepEqual(frames(right, 'head'), [4]);
+
+  const left = heading(-35);
+  assert.deepEqual(frames(left, 'body'), [0, 1, 2, 3]);
+  assert.deepEqual(frames(left, 'head'), [4]);
+
+  const running = heading(55);
+  assert.ok(running.every((info) => info.state === 'run' && info.profile));
+  assert.deepEqual(frames(running, 'body'), [5, 6, 7, 8]);
+  assert.deepEqual(frames(running, 'head'), [5, 6, 7, 8]);
+
+  const idle = heading(0);
+  assert.ok(idle.every((info) => info.state === 'idle'));
+  assert.deepEqual(frames(idle, 'body'), [4]);
+  lathe.dispose();
+});
+
+test('walking downhill draws grounded frames between ticks', async () => {
+  const lathe = await createTestLathe({ ground: (x) => -x * 0.6 });
+  const puppet = lathe.spawn('dude');
+  puppet.setPose({ yaw: 40, tracking: true });
+  const ctx = createCanvas(200, 200).getContext('2d');
+  const airborne = [];
+  // Real frame times, so render() interpolates between ticks
+  for (let frame = 0; frame < 90; frame++) {
+    lathe.step(7);
+    lathe.render(ctx, 100, 150);
+    if (frame > 30) airborne.push(puppet.inspect().airborne);
+  }
+  assert.ok(puppet.x > 20, 'walked downhill');
+  assert.deepEqual(airborne.filter(Boolean), [], 'no airborne frames');
+  lathe.dispose();
+});
+
+test('replayed param and state inputs the machine does not have are ignored', async () => {
+  const lathe = await createTestLathe();
+  const dude = lathe.spawn('dude');
+  dude.setPose({ yaw: 30, tracking: true });
+  for (let i = 0; i < 10; i++) lathe.tick();
+  assert.throws(() => dude.setParam('sped', 3), /no animation param "sped"/);
+  lathe.startRecording();
+  for (let i = 0; i < 5; i++) lathe.tick();
+  const rec = lathe.stopRecording();
+  rec.events.push(
+    { tick: rec.startTick + 1, id: dude.id, type: 'param', data: { name: 'sped', value: 99 } },
+    { tick: rec.startTick + 2, id: dude.id, type: 'state', data: { state: 'moonwalk', fade: 0 } }
+  );
+  const expected = lathe.snapshot();
+  lathe.playRecording(rec);
+  const below = dude.base + PREG.P_ANIM_PARAM - 1;
+  while (lathe.isReplaying()) {
+    lathe.tick();
+    assert.notEqual(lathe.ram[below], 99, 'the register below the params is untouched');
+  }
+  assert.deepEqual(lathe.snapshot(), expected);
+  assert.equal(dude.state, 'walk');
+  lathe.dispose();
+});
+
+test('clip and puppet clocks keep whole steps after hours of uptime', async () => {
+  const lathe = await createTestLathe();
+  const dude = lathe.spawn('dude');
+  dude.setPose({ yaw: 35, tracking: true });
+  drawnFrames(lathe, dude, 60);
+  // Twelve hours in: a Float32 clock would add 16 of every 16.6ms step here
+  const start = 12 * 3600 * 1000 + 0.3;
+  dude.restore({ animTime: start, clock: start });
+  const seen = drawnFrames(lathe, dude, 120);
+  const elapsed = 120 * lathe.clock.stepMs;
+  const { animTime, clock } = dude.snapshot();
+  assert.ok(Math.abs(animTime - (start + elapsed)) < 1e-6, `anim time ${animTime - start}ms after ${elapsed}ms`);
+  assert.ok(Math.abs(clock - (start + elapsed)) < 1e-6, `clock ${clock - start}ms after ${elapsed}ms`);
+  assert.ok(seen.every((info) => info.state === 'walk'));
+  assert.deepEqual([...new Set(seen.map((info) => info.frames.body))].sort(), [5, 6, 7, 8]);
+  lathe.dispose();
+});
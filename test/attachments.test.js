@@ -0,0 +1,57 @@
+// Attachments: validation, mounting on sockets and drawing onto the puppet.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileAttachment } from '../LatheAttachments.js';
+import { createCanvas } from './lib/raster.js';
+import { createTestLathe } from './lib/harness.js';
+
+// A solid w×h image
+const block = (w, h, colour) => {
+  const canvas = createCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = colour;
+  ctx.fillRect(0, 0, w, h);
+  return canvas;
+};
+
+// Pixels of exactly this colour in a render
+const countColour = (canvas, [r, g, b]) => {
+  let n = 0;
+  for (let i = 0; i < canvas.data.length; i += 4) {
+    if (canvas.data[i] === r && canvas.data[i + 1] === g && canvas.data[i + 2] === b && canvas.data[i + 3] === 255) n++;
+  }
+  return n;
+};
+
+test('attachment definitions are checked and defaulted', () => {
+  assert.deepEqual(compileAttachment({ url: 'hat.png' }, 'hat'), { url: 'hat.png', key: 'hat', mode: 'wrap', anchor: null, scale: 1 });
+  assert.throws(() => compileAttachment({ mode: 'glue' }, 'hat'), /invalid attachment "hat": mode must be one of wrap, billboard, replace/);
+  assert.throws(() => compileAttachment({ anchor: [1] }, 'hat'), /anchor must be \[x, y\]/);
+  assert.throws(() => compileAttachment({ scale: 0 }, 'hat'), /scale must be a positive number/);
+});
+
+test('a mounted attachment draws on its socket and comes off again', async () => {
+  const lathe = await createTestLathe({ attachments: { hat: { mode: 'billboard' } }, zoom: 2 });
+  await lathe.loadAttachment('hat', block(12, 8, '#ff0000'));
+  const dude = lathe.spawn('dude');
+  const draw = () => {
+    const canvas = createCanvas(160, 200);
+    lathe.step();
+    lathe.render(canvas.getContext('2d'), 80, 180);
+    return countColour(canvas, [255, 0, 0]);
+  };
+  assert.equal(draw(), 0);
+  const bare = lathe.actorBounds('dude');
+  dude.attach('head-top', 'hat');
+  assert.deepEqual(dude.attachments, { 'head-top': 'hat' });
+  const shown = draw();
+  assert.ok(shown > 100, `hat pixels: ${shown}`);
+  assert.ok(lathe.actorBounds('dude', { 'head-top': 'hat' }).halfH >= bare.halfH, 'bounds make room for the hat');
+
+  assert.throws(() => dude.attach('tail', 'hat'), /no socket "tail"/);
+  assert.throws(() => dude.attach('hand', 'sword'), /unknown attachment "sword"/);
+  dude.detach('head-top');
+  assert.deepEqual(dude.attachments, {});
+  assert.equal(draw(), 0);
+  lathe.dispose();
+});
@@ -0,0 +1,44 @@
+// Backends: WebGL falls back to the 2D strip renderer, which draws the same puppets.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCanvas } from './lib/raster.js';
+import { createTestLathe } from './lib/harness.js';
+
+const renderDude = async (options) => {
+  const lathe = await createTestLathe(options);
+  lathe.spawn('dude').setPose({ yaw: 30, tracking: true });
+  for (let i = 0; i < 10; i++) lathe.step();
+  const canvas = createCanvas(120, 160);
+  lathe.render(canvas.getContext('2d'), 60, 150);
+  lathe.dispose();
+  return { backend: lathe.backend, data: canvas.data };
+};
+
+// createCanvas whose canvases offer WebGL2 through `gl` (raster canvases have none)
+const withWebGL = (gl) => (w, h) => {
+  const canvas = createCanvas(w, h);
+  const getContext = canvas.getContext;
+  canvas.getContext = (type, options) => (type === 'webgl2' ? gl : getContext(type, options));
+  return canvas;
+};
+
+test('without WebGL2 the lathe falls back to canvas2d and says why', async () => {
+  const reference = await renderDude();
+  const reasons = [];
+  const fallback = await renderDude({ backend: 'webgl', onFallback: (reason) => reasons.push(reason) });
+  assert.deepEqual(reasons, ['WebGL2 is not available']);
+  assert.equal(fallback.backend, 'canvas2d');
+  assert.deepEqual(fallback.data, reference.data);
+});
+
+test('a WebGL2 context whose shaders do not compile falls back too', async () => {
+  const gl = {
+    VERTEX_SHADER: 1, FRAGMENT_SHADER: 2, COMPILE_STATUS: 3,
+    createProgram: () => ({}), createShader: () => ({}), shaderSource() {}, compileShader() {}, deleteShader() {},
+    getShaderParameter: () => false, getShaderInfoLog: () => 'no precision for float'
+  };
+  const reasons = [];
+  const fallback = await renderDude({ backend: 'webgl', createCanvas: withWebGL(gl), onFallback: (reason) => reasons.push(reason) });
+  assert.deepEqual(reasons, ['Lathe WebGL: shader compile failed: no precision for float']);
+  assert.equal(fallback.backend, 'canvas2d');
+});
@@ -0,0 +1,82 @@
+// Offline baking: packed atlases read back by the atlas parser, and GIF output.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bakeActor, packAtlas, exportGIFs } from '../LatheExporter.js';
+import { parseAtlas, resolveSheet } from '../LatheAtlas.js';
+import { createCanvas } from './lib/raster.js';
+import { createTestLathe } from './lib/harness.js';
+
+const bakeDude = async () => {
+  const lathe = await createTestLathe();
+  const bake = await bakeActor(lathe, 'dude', { yaws: [-30, 30], motions: ['walk', 'jump'], createCanvas });
+  lathe.dispose();
+  return bake;
+};
+
+// Size, loop count and the frames (with their delays in ms) of a GIF, walked block by block.
+const readGIF = (bytes) => {
+  const text = (at, n) => String.fromCharCode(...bytes.subarray(at, at + n));
+  const u16 = (at) => bytes[at] | (bytes[at + 1] << 8);
+  const skipSubBlocks = (at) => { while (bytes[at]) at += bytes[at] + 1; return at + 1; };
+  assert.equal(text(0, 6), 'GIF89a');
+  const out = { width: u16(6), height: u16(8), loop: null, delays: [] };
+  let at = 13 + (bytes[10] & 0x80 ? 3 << ((bytes[10] & 7) + 1) : 0);
+  let delay = 0;
+  for (;;) {
+    const block = bytes[at];
+    if (block === 0x3b) return out;
+    if (block === 0x21) {
+      const label = bytes[at + 1];
+      if (label === 0xf9) delay = u16(at + 4) * 10;
+      if (label === 0xff && text(at + 3, 11) === 'NETSCAPE2.0') out.loop = u16(at + 16);
+      at = skipSubBlocks(at + 2);
+    } else if (block === 0x2c) {
+      out.delays.push(delay);
+      const flags = bytes[at + 9];
+      at += 10 + (flags & 0x80 ? 3 << ((flags & 7) + 1) : 0);
+      at = skipSubBlocks(at + 1);
+    } else throw new Error(`unexpected GIF block 0x${block.toString(16)} at ${at}`);
+  }
+};
+
+test('a packed atlas parses back to the baked frames and tags', async () => {
+  const bake = await bakeDude();
+  const { canvas, manifest } = packAtlas(bake, { spacing: 2 });
+  assert.deepEqual(bake.tags.map((t) => t.name), ['walk_yaw-30_pitch0', 'walk_yaw30_pitch0', 'jump_yaw-30_pitch0', 'jump_yaw30_pitch0']);
+  const atlas = parseAtlas(JSON.parse(JSON.stringify(manifest)));
+  assert.deepEqual([atlas.w, atlas.h], [bake.cell.w, bake.cell.h]);
+  assert.equal(atlas.image, 'dude.png');
+  assert.equal(atlas.frames.length, bake.frames.length);
+  bake.frames.forEach((f, i) => {
+    assert.equal(atlas.frames[i].name, f.name);
+    assert.equal(atlas.frames[i].duration, f.duration);
+    assert.deepEqual([atlas.frames[i].ox, atlas.frames[i].oy], [0, 0]);
+  });
+  for (const tag of bake.tags) {
+    assert.deepEqual(atlas.tags[tag.name], Array.from({ length: tag.to - tag.from + 1 }, (_, i) => tag.from + i));
+  }
+  // Every frame's pixels sit where the manifest says
+  const ctx = canvas.getContext('2d');
+  for (const i of [0, bake.frames.length - 1]) {
+    const { x, y, w, h } = atlas.frames[i];
+    assert.deepEqual(ctx.getImageData(x, y, w, h).data, bake.frames[i].canvas.getContext('2d').getImageData(0, 0, w, h).data);
+  }
+  // And the lathe reads it as an actor sheet
+  const sheet = resolveSheet({ w: 0, h: 0 }, canvas, manifest);
+  assert.equal(sheet.anims['jump_yaw30_pitch0'].length, bake.tags[3].to - bake.tags[3].from + 1);
+});
+
+test('exportGIFs writes one looping GIF per tag with every frame and its timing', async () => {
+  const bake = await bakeDude();
+  const gifs = exportGIFs(bake);
+  assert.deepEqual(gifs.map((g) => g.name), bake.tags.map((t) => `dude_${t.name}.gif`));
+  gifs.forEach((gif, n) => {
+    const tag = bake.tags[n];
+    const info = readGIF(gif.data);
+    assert.deepEqual([info.width, info.height], [bake.cell.w, bake.cell.h]);
+    assert.equal(info.loop, 0);
+    const frames = bake.frames.slice(tag.from, tag.to + 1);
+    assert.equal(info.delays.length, frames.length, `${tag.name} frame count`);
+    info.delays.forEach((ms, i) => assert.ok(Math.abs(ms - frames[i].duration) <= 5, `${tag.name} frame ${i}: ${ms}ms`));
+  });
+});
@@ -0,0 +1,12 @@
+// The fixture sheets the tests load are the ones test/fixtures/draw.js draws.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { drawFixtures } from './fixtures/draw.js';
+
+test('the fixture sheets match their drawing script', () => {
+  const pngs = drawFixtures();
+  for (const name in pngs) {
+    assert.ok(pngs[name].equals(readFileSync(new URL(`fixtures/${name}`, import.meta.url))), `${name} is stale, run node test/fixtures/draw.js --write`);
+  }
+});
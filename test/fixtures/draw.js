@@ -0,0 +1,57 @@
+/**
+ * Lathe.js // TEST FIXTURES
+ * Draws the fixture sheets the tests load in place of the demo's remote art.
+ * node test/fixtures/draw.js --write rewrites dude.png and mummy.png next to it;
+ * test/fixtures.test.js checks they still match this script.
+ * Each cell is a flat body with a lighter head above neckY, an eye on the
+ * sprite's right and a dark stripe down its left (so flips and profile heads
+ * show), and the frame index in binary along the bottom. The mummy repeats a few
+ * frames so deduplication has pauses to fold.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { createCanvas } from '../lib/raster.js';
+import { encodePNG } from '../lib/png.js';
+
+const hue = (i, n, light) => {
+  const a = (i / n) * Math.PI * 2;
+  const c = (k) => Math.round(light + 70 * Math.cos(a + k));
+  return `rgb(${c(0)},${c(2.1)},${c(4.2)})`;
+};
+
+const drawSheet = ({ w, h, neckY, frames, repeats = {} }) => {
+  const canvas = createCanvas(w * frames, h);
+  const ctx = canvas.getContext('2d');
+  for (let cell = 0; cell < frames; cell++) {
+    const i = repeats[cell] !== undefined ? repeats[cell] : cell;
+    const x = cell * w;
+    ctx.fillStyle = hue(i, frames, 120);
+    ctx.fillRect(x + 4, neckY, w - 8, h - neckY - 2);
+    ctx.fillStyle = hue(i, frames, 170);
+    ctx.fillRect(x + 5, 3, w - 10, neckY - 3);
+    ctx.fillStyle = '#202028';
+    ctx.fillRect(x + 4, 3, 2, h - 5);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x + w - 12, 8 + (i % 4), 5, 4);
+    // Frame index, one 2px square per bit
+    for (let bit = 0; bit < 5; bit++) {
+      ctx.fillStyle = (i >> bit) & 1 ? '#ffffff' : '#000000';
+      ctx.fillRect(x + 8 + bit * 3, h - 6, 2, 2);
+    }
+  }
+  return encodePNG(canvas);
+};
+
+const here = new URL('./', import.meta.url);
+const SHEETS = {
+  'dude.png': { w: 32, h: 48, neckY: 34, frames: 9 },
+  'mummy.png': { w: 37, h: 45, neckY: 26, frames: 18, repeats: { 4: 3, 5: 3, 12: 11 } }
+};
+
+// The fixture PNGs as this script draws them: { 'dude.png': Buffer, ... }.
+export const drawFixtures = () => Object.fromEntries(Object.keys(SHEETS).map((name) => [name, drawSheet(SHEETS[name])]));
+
+if (process.argv.includes('--write')) {
+  const pngs = drawFixtures();
+  for (const name in pngs) writeFileSync(new URL(name, here), pngs[name]);
+}
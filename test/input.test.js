@@ -0,0 +1,88 @@
+// Input sources turn device events into intents; the controller sends a puppet only what changed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createController, createGamepadSource, createKeyboardSource, createPointerSource, createScriptedSource, RUN_YAW, WALK_YAW
+} from '../LatheInput.js';
+import { createTestLathe } from './lib/harness.js';
+
+const fire = (target, type, fields) => target.dispatchEvent(Object.assign(new Event(type), fields));
+
+test('the keyboard walks, runs with shift, pitches and jumps once per press', () => {
+  const target = new EventTarget();
+  const keys = createKeyboardSource({ target });
+  assert.deepEqual(keys.read(), { yaw: 0, pitch: 0, tracking: false, jump: false });
+  fire(target, 'keydown', { code: 'KeyD', preventDefault() {} });
+  assert.deepEqual(keys.read(), { yaw: WALK_YAW, pitch: 0, tracking: true, jump: false });
+  fire(target, 'keydown', { code: 'ShiftLeft', preventDefault() {} });
+  fire(target, 'keydown', { code: 'ArrowUp', preventDefault() {} });
+  assert.deepEqual(keys.read(), { yaw: RUN_YAW, pitch: -0.8, tracking: true, jump: false });
+
+  fire(target, 'keydown', { code: 'Space', repeat: false, preventDefault() {} });
+  fire(target, 'keydown', { code: 'Space', repeat: true, preventDefault() {} });
+  assert.equal(keys.read().jump, true);
+  assert.equal(keys.read().jump, false, 'auto-repeat does not jump again');
+
+  // Losing focus lets go of every key; rebinding takes effect at once
+  fire(target, 'blur', {});
+  assert.equal(keys.read().tracking, false);
+  keys.setBindings({ left: ['KeyJ'] });
+  fire(target, 'keydown', { code: 'KeyJ', preventDefault() {} });
+  assert.equal(keys.read().yaw, -WALK_YAW);
+  keys.dispose();
+  fire(target, 'keyup', { code: 'KeyJ' });
+  assert.equal(keys.read().yaw, -WALK_YAW, 'disposed sources stop listening');
+});
+
+test('the pointer steers from the centre while pressed and jumps on an upward swipe', () => {
+  const target = new EventTarget();
+  const pointer = createPointerSource({ target, getCenter: () => ({ x: 100, y: 100 }) });
+  fire(target, 'pointerdown', { clientX: 230, clientY: 260 });
+  const held = pointer.read();
+  assert.equal(held.tracking, true);
+  assert.ok(Math.abs(held.yaw - 45) < 1e-9);
+  assert.equal(held.pitch, 1);
+  fire(target, 'pointerup', { clientX: 230, clientY: 200 });
+  assert.deepEqual(pointer.read(), { ...held, tracking: false, jump: true });
+  assert.equal(pointer.read().jump, false);
+  pointer.dispose();
+});
+
+test('no gamepad reads as rest', () => {
+  assert.deepEqual(createGamepadSource().read(), { yaw: 0, pitch: 0, tracking: false, jump: false });
+});
+
+test('the controller gives the first tracking source the pose and sends only changes', async () => {
+  const lathe = await createTestLathe();
+  const puppet = lathe.spawn('dude');
+  let npc = null, jump = false;
+  const scripted = createScriptedSource((now, p) => {
+    assert.equal(p, puppet, 'scripted sources see their puppet');
+    return { ...npc, jump };
+  });
+  const target = new EventTarget();
+  const keys = createKeyboardSource({ target });
+  const ctl = createController(puppet, [keys, scripted]);
+  // What the controller sent since the last call, read off a recording
+  lathe.startRecording();
+  const sent = () => {
+    const { events } = lathe.stopRecording();
+    lathe.startRecording();
+    return events.map((e) => [e.type, JSON.parse(JSON.stringify(e.data))]);
+  };
+
+  ctl.update(0);
+  ctl.update(16);
+  assert.deepEqual(sent(), [['pose', { tracking: false }]]);
+  npc = { yaw: 20, tracking: true };
+  ctl.update(32);
+  ctl.update(48);
+  assert.deepEqual(sent(), [['pose', { yaw: 20, pitch: 0, tracking: true }]]);
+  // The keyboard comes first, so it wins while a key is held
+  fire(target, 'keydown', { code: 'KeyA', preventDefault() {} });
+  jump = true;
+  ctl.update(64);
+  assert.deepEqual(sent(), [['pose', { yaw: -WALK_YAW, pitch: 0, tracking: true }], ['jump', {}]]);
+  ctl.dispose();
+  lathe.dispose();
+});
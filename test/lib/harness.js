@@ -0,0 +1,142 @@
+/**
+ * Lathe.js // TEST HARNESS
+ * Headless lathes for the tests: the renderer drawing into test/lib/raster.js canvases,
+ * actors loaded from the fixture sheets, pose matrices rendered into one contact
+ * sheet per actor and compared cell by cell with golden PNGs.
+ * * GOLDENS:
+ * - test/golden/<actor>.png. LATHE_UPDATE_GOLDENS=1 node --test test/*.test.js writes
+ *   them after an intended rendering change (or for a new actor); look at the new
+ *   images before committing. Without it a missing golden fails.
+ * - A cell fails when more than `maxRatio` of its pixels differ by more than
+ *   `tolerance` in any channel. Failing runs leave actual, expected and diff PNGs
+ *   in the OS temp dir (lathe-visual/) and name them in the failure.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLathe } from '../../LatheRenderer.js';
+import { ACTORS } from '../../LatheActors.js';
+import { pickTransition } from '../../LatheAnimator.js';
+import { createCanvas, canvasFromImage } from './raster.js';
+import { decodePNG, encodePNG } from './png.js';
+
+const here = new URL('../', import.meta.url);
+
+export const UPDATE_GOLDENS = !!process.env.LATHE_UPDATE_GOLDENS;
+export const COMPARE_DEFAULTS = { tolerance: 16, maxRatio: 0.005 };
+
+export const loadFixture = (name) => canvasFromImage(decodePNG(readFileSync(new URL(`fixtures/${name}.png`, here))));
+
+/**
+ * Stands in for the browser's createImageBitmap so encoded sources (Blobs, data:
+ * URLs) decode in Node: PNG blobs become raster canvases, anything else passes
+ * through as already drawable. Returns a function that removes it again.
+ */
+export const installImageDecoder = () => {
+  const previous = globalThis.createImageBitmap;
+  globalThis.createImageBitmap = async (src) => (src instanceof Blob
+    ? canvasFromImage(decodePNG(Buffer.from(await src.arrayBuffer())))
+    : src);
+  return () => { globalThis.createImageBitmap = previous; };
+};
+
+// A lathe on raster canvases with the built-in actors drawn from the fixture sheets.
+export const createTestLathe = async (options = {}) => {
+  const lathe = createLathe({ actors: ACTORS, createCanvas, shadows: false, ...options });
+  await Promise.all(['dude', 'mummy'].map((key) => lathe.loadActor(key, loadFixture(key))));
+  return lathe;
+};
+
+// The state the actor's own machine settles in for a steady pose at this yaw,
+// rising when airborne: transitions are taken from the initial state until none fires.
+const poseState = (config, yaw, airborne) => {
+  const { machine } = config;
+  const params = { speed: Math.abs(yaw), yaw, turning: 0, airborne: airborne ? 1 : 0, rising: airborne ? 1 : 0 };
+  machine.params.forEach((key, i) => { params[key] = machine.defaults[i]; });
+  let state = machine.initial;
+  for (let hops = 0; hops < machine.names.length; hops++) {
+    const next = pickTransition(machine, state, params, Infinity, false);
+    if (!next) break;
+    state = next.to;
+  }
+  return machine.names[state];
+};
+
+/**
+ * Renders every combination of `yaws`, `pitches`, `airborne` and `times` into one
+ * contact sheet: a column per yaw and time, a row per pitch and airborne. Returns
+ * { canvas, cells: [{ name, x, y, w, h }] }. `scale` is target px per stage px.
+ */
+export const renderMatrix = (lathe, actor, { yaws, pitches, airborne, times, scale = 0.5, rise = 24 }) => {
+  const config = lathe.getActor(actor);
+  const { halfW, halfH } = lathe.actorBounds(actor);
+  const w = Math.ceil(2 * halfW * scale), h = Math.ceil((2 * halfH + rise) * scale);
+  const columns = yaws.length * times.length, rows = pitches.length * airborne.length;
+  const canvas = createCanvas(w * columns, h * rows);
+  const ctx = canvas.getContext('2d');
+  const cells = [];
+  pitches.forEach((pitch, pi) => airborne.forEach((air, ai) => yaws.forEach((yaw, yi) => times.forEach((time, ti) => {
+    const x = (yi * times.length + ti) * w, y = (pi * airborne.length + ai) * h;
+    ctx.setTransform(scale, 0, 0, scale, x, y);
+    lathe.renderPose(ctx, halfW, halfH + rise, {
+      actor, yaw, pitch, time, py: air ? -rise : 0, state: poseState(config, yaw, air), stateTime: time
+    });
+    cells.push({ name: `${actor} yaw ${yaw} pitch ${pitch}${air ? ' airborne' : ''} t ${time}`, x, y, w, h });
+  }))));
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  return { canvas, cells };
+};
+
+// Pixels in a cell differing by more than `tolerance` in any channel; marks them in `diff` when given.
+const countMismatches = (a, b, { x, y, w, h }, tolerance, diff) => {
+  let count = 0;
+  for (let row = y; row < y + h; row++) {
+    for (let col = x; col < x + w; col++) {
+      const i = (row * a.width + col) * 4;
+      let delta = 0;
+      for (let k = 0; k < 4; k++) delta = Math.max(delta, Math.abs(a.data[i + k] - b.data[i + k]));
+      if (delta <= tolerance) continue;
+      count++;
+      if (diff) { diff.data[i] = 255; diff.data[i + 1] = 0; diff.data[i + 2] = 255; diff.data[i + 3] = 255; }
+    }
+  }
+  return count;
+};
+
+/**
+ * Compares a rendered matrix with test/golden/<name>.png (writing it instead when
+ * updating). Returns { failures: [{ name, ratio }], written, output }.
+ */
+export const compareGolden = (name, { canvas, cells }, { tolerance, maxRatio } = COMPARE_DEFAULTS) => {
+  const path = new URL(`golden/${name}.png`, here);
+  const actual = encodePNG(canvas);
+  if (UPDATE_GOLDENS) {
+    mkdirSync(new URL('golden/', here), { recursive: true });
+    writeFileSync(path, actual);
+    return { failures: [], written: true, output: null };
+  }
+  if (!existsSync(path)) {
+    return { failures: [{ name: `${name}: missing golden, run with LATHE_UPDATE_GOLDENS=1 to write it`, ratio: 1 }], written: false, output: null };
+  }
+  const golden = decodePNG(readFileSync(path));
+  if (golden.width !== canvas.width || golden.height !== canvas.height) {
+    return { failures: [{ name: `${name}: size ${canvas.width}x${canvas.height}, golden ${golden.width}x${golden.height}`, ratio: 1 }], written: false, output: null };
+  }
+  const diff = { width: canvas.width, height: canvas.height, data: new Uint8ClampedArray(canvas.data) };
+  for (let i = 3; i < diff.data.length; i += 4) diff.data[i] = Math.min(diff.data[i], 60);
+  const failures = [];
+  for (const cell of cells) {
+    const ratio = countMismatches(canvas, golden, cell, tolerance, diff) / (cell.w * cell.h);
+    if (ratio > maxRatio) failures.push({ name: cell.name, ratio });
+  }
+  let output = null;
+  if (failures.length) {
+    output = join(tmpdir(), 'lathe-visual');
+    mkdirSync(output, { recursive: true });
+    writeFileSync(join(output, `${name}.actual.png`), actual);
+    writeFileSync(join(output, `${name}.expected.png`), encodePNG(golden));
+    writeFileSync(join(output, `${name}.diff.png`), encodePNG(diff));
+  }
+  return { failures, written: false, output };
+};
@@ -0,0 +1,112 @@
+/**
+ * Lathe.js // TEST PNG
+ * Minimal PNG codec on Node's zlib for fixtures and golden images: decodes
+ * 8-bit greyscale, grey + alpha, RGB, RGBA and palette images (not interlaced) and
+ * encodes RGBA.
+ */
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+const crc32 = (bytes) => {
+  let c = -1;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+};
+
+const chunk = (type, body) => {
+  const out = Buffer.alloc(12 + body.length);
+  out.writeUInt32BE(body.length, 0);
+  out.write(type, 4, 'latin1');
+  body.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + body.length)), 8 + body.length);
+  return out;
+};
+
+// PNG bytes for { width, height, data } (RGBA, not premultiplied).
+export const encodePNG = ({ width, height, data }) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; header[9] = 6;
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    // Filter 1 (Sub): flat-coloured art compresses far better than unfiltered rows
+    const row = y * (stride + 1), src = y * stride;
+    raw[row] = 1;
+    for (let x = 0; x < stride; x++) raw[row + 1 + x] = data[src + x] - (x >= 4 ? data[src + x - 4] : 0);
+  }
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const paeth = (a, b, c) => {
+  const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// { width, height, data } (RGBA) from PNG bytes. Throws on anything it does not read.
+export const decodePNG = (bytes) => {
+  const buf = Buffer.from(bytes.buffer ? bytes.buffer : bytes, bytes.byteOffset || 0, bytes.byteLength);
+  if (!buf.subarray(0, 8).equals(SIGNATURE)) throw new Error('Lathe PNG: not a PNG');
+  let width = 0, height = 0, depth = 0, colour = 0, interlace = 0, palette = null, alphas = null;
+  const idat = [];
+  for (let at = 8; at < buf.length;) {
+    const length = buf.readUInt32BE(at), type = buf.toString('latin1', at + 4, at + 8);
+    const body = buf.subarray(at + 8, at + 8 + length);
+    if (type === 'IHDR') {
+      width = body.readUInt32BE(0); height = body.readUInt32BE(4);
+      depth = body[8]; colour = body[9]; interlace = body[12];
+    } else if (type === 'PLTE') palette = body;
+    else if (type === 'tRNS') alphas = body;
+    else if (type === 'IDAT') idat.push(body);
+    else if (type === 'IEND') break;
+    at += 12 + length;
+  }
+  if (depth !== 8 || interlace || !(colour in CHANNELS)) {
+    throw new Error(`Lathe PNG: unsupported format (depth ${depth}, colour type ${colour}${interlace ? ', interlaced' : ''})`);
+  }
+  const channels = CHANNELS[colour], stride = width * channels;
+  const raw = inflateSync(Buffer.concat(idat));
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)], line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride, prev = out - stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= channels ? pixels[out + x - channels] : 0;
+      const b = y ? pixels[prev + x] : 0;
+      const c = y && x >= channels ? pixels[prev + x - channels] : 0;
+      const v = line[x];
+      pixels[out + x] = filter === 0 ? v : filter === 1 ? v + a : filter === 2 ? v + b
+        : filter === 3 ? v + ((a + b) >> 1) : v + paeth(a, b, c);
+    }
+  }
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const s = p * channels, o = p * 4;
+    if (colour === 6) { data[o] = pixels[s]; data[o + 1] = pixels[s + 1]; data[o + 2] = pixels[s + 2]; data[o + 3] = pixels[s + 3]; }
+    else if (colour === 2) { data[o] = pixels[s]; data[o + 1] = pixels[s + 1]; data[o + 2] = pixels[s + 2]; data[o + 3] = 255; }
+    else if (colour === 3) {
+      const i = pixels[s];
+      data[o] = palette[i * 3]; data[o + 1] = palette[i * 3 + 1]; data[o + 2] = palette[i * 3 + 2];
+      data[o + 3] = alphas && i < alphas.length ? alphas[i] : 255;
+    } else {
+      data[o] = data[o + 1] = data[o + 2] = pixels[s];
+      data[o + 3] = colour === 4 ? pixels[s + 1] : 255;
+    }
+  }
+  return { width, height, data };
+};
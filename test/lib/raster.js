@@ -0,0 +1,240 @@
+/**
+ * Lathe.js // TEST RASTER
+ * Pure-JS stand-in for the slice of the Canvas 2D API the renderer uses, so the
+ * tests run under plain Node with no native canvas. Pixels are sampled at their
+ * centres with no edge antialiasing: output is deterministic, not browser-identical,
+ * which is what golden images need.
+ * * SUPPORTED:
+ * - createCanvas(w, h): width / height (setting either clears it), getContext('2d').
+ * - save / restore, translate / scale / rotate / transform / setTransform / getTransform.
+ * - globalAlpha, imageSmoothingEnabled (nearest or bilinear), fillStyle as '#rgb',
+ *   '#rrggbb', 'rgb()' or 'rgba()'.
+ * - clearRect, fillRect, drawImage (3, 5 and 9 argument forms, source-over from
+ *   another raster canvas), getImageData / putImageData / createImageData.
+ * - beginPath / arc / fill for whole circles (the loader's placeholder head);
+ *   font, textAlign and textBaseline are kept but fillText draws nothing.
+ */
+
+const parseColour = (style) => {
+  const s = String(style).trim().toLowerCase();
+  let m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(s);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].replace(/./g, '$&$&') : m[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16)).concat(1);
+  }
+  m = /^rgba?\(([^)]*)\)$/.exec(s);
+  if (m) {
+    const parts = m[1].split(',').map(Number);
+    if (parts.length >= 3 && parts.every(Number.isFinite)) return [parts[0], parts[1], parts[2], parts.length > 3 ? parts[3] : 1];
+  }
+  if (s === 'transparent') return [0, 0, 0, 0];
+  throw new Error(`Lathe raster: unsupported colour "${style}"`);
+};
+
+const multiply = ([a, b, c, d, e, f], [A, B, C, D, E, F]) => [
+  a * A + c * B, b * A + d * B, a * C + c * D, b * C + d * D, a * E + c * F + e, b * E + d * F + f
+];
+
+const createContext = (canvas) => {
+  const fresh = () => ({
+    m: [1, 0, 0, 1, 0, 0], globalAlpha: 1, imageSmoothingEnabled: true, imageSmoothingQuality: 'low', fillStyle: '#000000',
+    font: '10px sans-serif', textAlign: 'start', textBaseline: 'alphabetic'
+  });
+  let state = fresh();
+  // Circles of the current path
+  let path = [];
+  const stack = [];
+  const px = [0, 0, 0, 0];
+
+  // Runs `sample(u, v)` for every pixel whose centre falls inside the local rect, and
+  // composites the premultiplied colour it leaves in `px` (false: leave the pixel be).
+  const paint = (x, y, w, h, sample, clear = false) => {
+    if (w < 0) { x += w; w = -w; }
+    if (h < 0) { y += h; h = -h; }
+    const [a, b, c, d, e, f] = state.m;
+    const det = a * d - b * c;
+    if (!w || !h || !det) return;
+    const xs = [], ys = [];
+    for (const [u, v] of [[x, y], [x + w, y], [x, y + h], [x + w, y + h]]) {
+      xs.push(a * u + c * v + e); ys.push(b * u + d * v + f);
+    }
+    const W = canvas.width, H = canvas.height, data = canvas.data;
+    const x0 = Math.max(0, Math.floor(Math.min(...xs))), x1 = Math.min(W, Math.ceil(Math.max(...xs)));
+    const y0 = Math.max(0, Math.floor(Math.min(...ys))), y1 = Math.min(H, Math.ceil(Math.max(...ys)));
+    const alpha = state.globalAlpha;
+    for (let Y = y0; Y < y1; Y++) {
+      for (let X = x0; X < x1; X++) {
+        const cx = X + 0.5 - e, cy = Y + 0.5 - f;
+        const u = (d * cx - c * cy) / det, v = (a * cy - b * cx) / det;
+        if (u < x || u >= x + w || v < y || v >= y + h) continue;
+        const i = (Y * W + X) * 4;
+        if (clear) { data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0; continue; }
+        if (!sample(u, v)) continue;
+        const sa = px[3] * alpha;
+        if (sa <= 0) continue;
+        const da = data[i + 3] / 255, keep = da * (1 - sa);
+        const oa = sa + keep;
+        for (let k = 0; k < 3; k++) data[i + k] = Math.round((px[k] * alpha * 255 + data[i + k] * keep) / oa);
+        data[i + 3] = Math.round(oa * 255);
+      }
+    }
+  };
+
+  // Premultiplied source pixel (clamped to the source rect) added into `px` with weight `wt`
+  const addTexel = (src, X, Y, wt) => {
+    const i = (Y * src.width + X) * 4, a = src.data[i + 3] / 255 * wt;
+    px[0] += src.data[i] / 255 * a; px[1] += src.data[i + 1] / 255 * a; px[2] += src.data[i + 2] / 255 * a; px[3] += a;
+  };
+
+  const drawImage = (src, ...args) => {
+    const sw0 = src.width, sh0 = src.height;
+    let [sx, sy, sw, sh, dx, dy, dw, dh] = args.length === 2 ? [0, 0, sw0, sh0, args[0], args[1], sw0, sh0]
+      : args.length === 4 ? [0, 0, sw0, sh0, ...args] : args;
+    if (!sw || !sh || !dw || !dh) return;
+    // Source rect clipped to the image, with the destination clipped to match
+    const left = Math.max(Math.min(sx, sx + sw), 0), right = Math.min(Math.max(sx, sx + sw), sw0);
+    const top = Math.max(Math.min(sy, sy + sh), 0), bottom = Math.min(Math.max(sy, sy + sh), sh0);
+    if (right <= left || bottom <= top) return;
+    const kx = dw / sw, ky = dh / sh;
+    const toDest = (s, s0, d0, k) => d0 + (s - s0) * k;
+    const nx0 = toDest(sw > 0 ? left : right, sx, dx, kx), nx1 = toDest(sw > 0 ? right : left, sx, dx, kx);
+    const ny0 = toDest(sh > 0 ? top : bottom, sy, dy, ky), ny1 = toDest(sh > 0 ? bottom : top, sy, dy, ky);
+    const smooth = state.imageSmoothingEnabled;
+    const lastX = Math.ceil(right) - 1, lastY = Math.ceil(bottom) - 1, firstX = Math.floor(left), firstY = Math.floor(top);
+    paint(nx0, ny0, nx1 - nx0, ny1 - ny0, (u, v) => {
+      const su = sx + (u - dx) / kx, sv = sy + (v - dy) / ky;
+      px[0] = px[1] = px[2] = px[3] = 0;
+      if (!smooth) {
+        addTexel(src, Math.min(lastX, Math.max(firstX, Math.floor(su))), Math.min(lastY, Math.max(firstY, Math.floor(sv))), 1);
+        return true;
+      }
+      const fx = su - 0.5, fy = sv - 0.5;
+      const ix = Math.floor(fx), iy = Math.floor(fy), tx = fx - ix, ty = fy - iy;
+      const X0 = Math.min(lastX, Math.max(firstX, ix)), X1 = Math.min(lastX, Math.max(firstX, ix + 1));
+      const Y0 = Math.min(lastY, Math.max(firstY, iy)), Y1 = Math.min(lastY, Math.max(firstY, iy + 1));
+      addTexel(src, X0, Y0, (1 - tx) * (1 - ty)); addTexel(src, X1, Y0, tx * (1 - ty));
+      addTexel(src, X0, Y1, (1 - tx) * ty); addTexel(src, X1, Y1, tx * ty);
+      return true;
+    });
+  };
+
+  const getImageData = (x, y, w, h) => {
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let row = 0; row < h; row++) {
+      const Y = y + row;
+      if (Y < 0 || Y >= canvas.height) continue;
+      for (let col = 0; col < w; col++) {
+        const X = x + col;
+        if (X < 0 || X >= canvas.width) continue;
+        const i = (Y * canvas.width + X) * 4, o = (row * w + col) * 4;
+        out[o] = canvas.data[i]; out[o + 1] = canvas.data[i + 1]; out[o + 2] = canvas.data[i + 2]; out[o + 3] = canvas.data[i + 3];
+      }
+    }
+    return { width: w, height: h, data: out };
+  };
+
+  const putImageData = (img, dx, dy) => {
+    for (let row = 0; row < img.height; row++) {
+      const Y = dy + row;
+      if (Y < 0 || Y >= canvas.height) continue;
+      for (let col = 0; col < img.width; col++) {
+        const X = dx + col;
+        if (X < 0 || X >= canvas.width) continue;
+        const i = (Y * canvas.width + X) * 4, o = (row * img.width + col) * 4;
+        canvas.data[i] = img.data[o]; canvas.data[i + 1] = img.data[o + 1]; canvas.data[i + 2] = img.data[o + 2]; canvas.data[i + 3] = img.data[o + 3];
+      }
+    }
+  };
+
+  const solid = () => {
+    const [r, g, b, a] = parseColour(state.fillStyle);
+    return () => { px[0] = r / 255 * a; px[1] = g / 255 * a; px[2] = b / 255 * a; px[3] = a; return true; };
+  };
+
+  const fill = () => {
+    const colour = solid();
+    for (const { x, y, r } of path) {
+      paint(x - r, y - r, 2 * r, 2 * r, (u, v) => (u - x) ** 2 + (v - y) ** 2 <= r * r && colour());
+    }
+  };
+
+  const ctx = {
+    canvas,
+    get globalAlpha() { return state.globalAlpha; },
+    set globalAlpha(v) { if (v >= 0 && v <= 1) state.globalAlpha = v; },
+    get imageSmoothingEnabled() { return state.imageSmoothingEnabled; },
+    set imageSmoothingEnabled(v) { state.imageSmoothingEnabled = !!v; },
+    get imageSmoothingQuality() { return state.imageSmoothingQuality; },
+    set imageSmoothingQuality(v) { state.imageSmoothingQuality = v; },
+    get fillStyle() { return state.fillStyle; },
+    set fillStyle(v) { state.fillStyle = v; },
+    get font() { return state.font; },
+    set font(v) { state.font = v; },
+    get textAlign() { return state.textAlign; },
+    set textAlign(v) { state.textAlign = v; },
+    get textBaseline() { return state.textBaseline; },
+    set textBaseline(v) { state.textBaseline = v; },
+
+    save: () => { stack.push({ ...state, m: state.m.slice() }); },
+    restore: () => { if (stack.length) state = stack.pop(); },
+    transform: (a, b, c, d, e, f) => { state.m = multiply(state.m, [a, b, c, d, e, f]); },
+    translate: (x, y) => ctx.transform(1, 0, 0, 1, x, y),
+    scale: (x, y) => ctx.transform(x, 0, 0, y, 0, 0),
+    rotate: (r) => ctx.transform(Math.cos(r), Math.sin(r), -Math.sin(r), Math.cos(r), 0, 0),
+    setTransform: (a, b, c, d, e, f) => {
+      state.m = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+    },
+    resetTransform: () => { state.m = [1, 0, 0, 1, 0, 0]; },
+    getTransform: () => { const [a, b, c, d, e, f] = state.m; return { a, b, c, d, e, f }; },
+
+    clearRect: (x, y, w, h) => paint(x, y, w, h, null, true),
+    fillRect: (x, y, w, h) => paint(x, y, w, h, solid()),
+    beginPath: () => { path = []; },
+    arc: (x, y, r, start, end) => {
+      if (Math.abs(end - start) < Math.PI * 2) throw new Error('Lathe raster: only whole-circle arcs are supported');
+      path.push({ x, y, r });
+    },
+    fill,
+    fillText: () => {},
+    drawImage,
+    getImageData,
+    putImageData,
+    createImageData: (w, h) => (typeof w === 'object'
+      ? { width: w.width, height: w.height, data: new Uint8ClampedArray(w.width * w.height * 4) }
+      : { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) }),
+    // Resizing the canvas resets the context, as it does in browsers
+    reset: () => { state = fresh(); stack.length = 0; path = []; }
+  };
+  return ctx;
+};
+
+export const createCanvas = (width = 300, height = 150) => {
+  let w = Math.max(0, Math.floor(width)), h = Math.max(0, Math.floor(height));
+  let data = new Uint8ClampedArray(w * h * 4);
+  let ctx = null;
+  const resize = () => {
+    data = new Uint8ClampedArray(w * h * 4);
+    if (ctx) ctx.reset();
+  };
+  const canvas = {
+    get width() { return w; },
+    set width(v) { w = Math.max(0, Math.floor(v)); resize(); },
+    get height() { return h; },
+    set height(v) { h = Math.max(0, Math.floor(v)); resize(); },
+    // RGBA, not premultiplied, row-major (what getImageData returns)
+    get data() { return data; },
+    getContext: (type) => {
+      if (type !== '2d') return null;
+      if (!ctx) ctx = createContext(canvas);
+      return ctx;
+    }
+  };
+  return canvas;
+};
+
+// A raster canvas holding `image` ({ width, height, data } RGBA, e.g. from decodePNG).
+export const canvasFromImage = (image) => {
+  const canvas = createCanvas(image.width, image.height);
+  canvas.data.set(image.data);
+  return canvas;
+};
@@ -0,0 +1,66 @@
+// Lit frames are shaded once and reused, not reshaded per draw.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestLathe } from './lib/harness.js';
+import { createCanvas } from './lib/raster.js';
+
+// Canvases that count frames shaded (each is put into a canvas once)
+const countShading = () => {
+  const counter = { made: 0 };
+  counter.createCanvas = (w, h) => {
+    const canvas = createCanvas(w, h), getContext = canvas.getContext;
+    canvas.getContext = (type) => {
+      const ctx = getContext(type);
+      if (ctx && !ctx.counted) {
+        const put = ctx.putImageData;
+        ctx.putImageData = (...args) => { counter.made++; put(...args); };
+        ctx.counted = true;
+      }
+      return ctx;
+    };
+    return canvas;
+  };
+  return counter;
+};
+
+test('a steady pose reuses its lit frames; new lighting reshades them', async () => {
+  const counter = countShading();
+  const lathe = await createTestLathe({ createCanvas: counter.createCanvas });
+  const puppet = lathe.spawn('dude');
+  puppet.setPose({ yaw: 20, pitch: 0.3, tracking: true });
+  for (let i = 0; i < 60; i++) lathe.step();
+  const target = createCanvas(200, 200), ctx = target.getContext('2d');
+  lathe.render(ctx, 100, 150);
+  const first = Array.from(target.data);
+  const before = counter.made;
+  for (let i = 0; i < 5; i++) lathe.render(ctx, 100, 150);
+  assert.equal(counter.made, before, 'no lit frames shaded for repeated draws');
+
+  lathe.setLighting({ ambient: 0.2, lights: [{ type: 'directional', dir: [1, 0, 0.2], color: '#ff8800' }] });
+  target.width = 200;
+  lathe.render(ctx, 100, 150);
+  assert.ok(counter.made > before, 'new lighting shades new frames');
+  assert.notDeepEqual(Array.from(target.data), first);
+  lathe.dispose();
+});
+
+test('a puppet walking under a point light reuses lit frames', async () => {
+  const counter = countShading();
+  const lathe = await createTestLathe({
+    createCanvas: counter.createCanvas,
+    lighting: { ambient: 0.3, lights: [{ type: 'point', pos: [0, -80, 120], color: '#ffd8a0', range: 200 }] }
+  });
+  const puppet = lathe.spawn('dude');
+  puppet.setPose({ yaw: 35, tracking: true });
+  const ctx = createCanvas(300, 200).getContext('2d');
+  const walk = () => {
+    for (let i = 0; i < 60; i++) { lathe.step(); lathe.render(ctx, 150, 150); }
+  };
+  walk();
+  const before = counter.made, x = puppet.x;
+  walk();
+  assert.ok(puppet.x - x > 50, `walked ${puppet.x - x}px`);
+  // Two layers per draw: keyed on stage position this shaded 120 frames
+  assert.ok(counter.made - before <= 12, `${counter.made - before} frames shaded over 60 draws`);
+  lathe.dispose();
+});
@@ -0,0 +1,109 @@
+// Loading: bundles packed from URLs and served back offline.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createLathe } from '../LatheRenderer.js';
+import { ACTORS } from '../LatheActors.js';
+import { atlasImageURL, packBundle } from '../LatheLoader.js';
+import { createCanvas } from './lib/raster.js';
+import { installImageDecoder } from './lib/harness.js';
+
+const dudePNG = readFileSync(new URL('fixtures/dude.png', import.meta.url));
+const atlas = (image) => ({
+  frames: Array.from({ length: 9 }, (_, i) => ({ filename: `dude ${i}`, frame: { x: i * 32, y: 0, w: 32, h: 48 } })),
+  meta: { image }
+});
+
+// A fake server: the files packBundle may fetch, and the URLs it asked for.
+const server = (files) => {
+  const requested = [];
+  const fetchAsset = async (url) => {
+    requested.push(url);
+    if (!(url in files)) throw new Error(`404 ${url}`);
+    return files[url];
+  };
+  return { requested, fetchAsset };
+};
+
+test('atlas images resolve against the atlas URL the same way everywhere', () => {
+  assert.equal(atlasImageURL('dude.png', 'sheets/dude.json'), 'sheets/dude.png');
+  assert.equal(atlasImageURL('dude.png', 'https://cdn.test/a/dude.json?v=2'), 'https://cdn.test/a/dude.png');
+  assert.equal(atlasImageURL('/art/dude.png', 'sheets/dude.json'), '/art/dude.png');
+  assert.equal(atlasImageURL('https://cdn.test/dude.png', 'sheets/dude.json'), 'https://cdn.test/dude.png');
+  assert.equal(atlasImageURL('dude.png', 'data:application/json,{}'), 'dude.png');
+  assert.equal(atlasImageURL('dude.png'), 'dude.png');
+});
+
+test('a packed bundle loads back offline, from atlas URLs and inline atlases', async () => {
+  const { requested, fetchAsset } = server({
+    'sheets/dude.json': new Blob([JSON.stringify(atlas('dude.png'))]),
+    'sheets/dude.png': new Blob([dudePNG], { type: 'image/png' }),
+    'art/inline.png': new Blob([dudePNG], { type: 'image/png' })
+  });
+  const { url, ...dude } = ACTORS.dude;
+  const actors = {
+    linked: { ...dude, atlasUrl: 'sheets/dude.json' },
+    inline: { ...dude, atlas: atlas('art/inline.png') },
+    dataAtlas: { ...dude, atlasUrl: `data:application/json,${encodeURIComponent(JSON.stringify(atlas('https://cdn.test/dude.png')))}` }
+  };
+  await assert.rejects(packBundle(actors, { fetchAsset }), /404 https:\/\/cdn.test\/dude.png/);
+  delete actors.dataAtlas;
+  const bundle = JSON.parse(JSON.stringify(await packBundle(actors, { fetchAsset })));
+  assert.deepEqual(Object.keys(bundle.assets).sort(), ['art/inline.png', 'sheets/dude.json', 'sheets/dude.png']);
+  assert.ok(requested.includes('https://cdn.test/dude.png'), 'a data: atlas still packs its image');
+
+  const removeDecoder = installImageDecoder();
+  try {
+    const lathe = createLathe({ actors: {}, createCanvas, shadows: false, loading: { lazy: false, retries: 0 } });
+    const errors = [];
+    lathe.on('loaderror', (e) => errors.push(e));
+    assert.deepEqual(lathe.addBundle(bundle), ['linked', 'inline']);
+    for (const key of ['linked', 'inline']) {
+      const sheet = await lathe.loadActor(key);
+      assert.ok(!sheet.placeholder, `${key} loaded its art`);
+      assert.equal(sheet.frames.length, 9);
+      assert.deepEqual([sheet.bitmap.width, sheet.bitmap.height], [288, 48]);
+    }
+    assert.deepEqual(errors, []);
+    lathe.dispose();
+  } finally {
+    removeDecoder();
+  }
+});
+
+test('a sheet that will not load is retried, reported and replaced by placeholder art', async () => {
+  const removeDecoder = installImageDecoder();
+  try {
+    const broken = new Uint8Array([1, 2, 3, 4]);
+    const placeholder = `data:image/png;base64,${dudePNG.toString('base64')}`;
+    const actors = { drawn: { ...ACTORS.dude }, pictured: { ...ACTORS.dude, placeholder } };
+    const lathe = createLathe({ actors, createCanvas, shadows: false, loading: { lazy: false, retries: 2, retryDelay: 1 } });
+    const errors = [];
+    lathe.on('loaderror', (e) => errors.push([e.key, e.attempt, e.willRetry]));
+
+    const drawn = await lathe.loadActor('drawn', broken);
+    assert.deepEqual(errors, [['drawn', 1, true], ['drawn', 2, true], ['drawn', 3, false]]);
+    assert.ok(drawn.placeholder);
+    assert.match(drawn.error.message, /PNG|decode|signature/i);
+    // A drawn silhouette one cell in size that every anim plays
+    assert.deepEqual([drawn.bitmap.width, drawn.bitmap.height], [32, 48]);
+    assert.deepEqual(drawn.anims.WALK_L, [0]);
+
+    const pictured = await lathe.loadActor('pictured', broken);
+    assert.ok(pictured.placeholder);
+    assert.deepEqual([pictured.bitmap.width, pictured.bitmap.height], [288, 48], 'the actor placeholder image');
+
+    // Placeholders still draw
+    const puppet = lathe.spawn('drawn');
+    lathe.step();
+    lathe.render(createCanvas(100, 100).getContext('2d'), 50, 90);
+    assert.equal(puppet.inspect().frames.body, 0);
+    lathe.dispose();
+
+    const strict = createLathe({ actors, createCanvas, shadows: false, loading: { lazy: false, retries: 0, placeholder: false } });
+    await assert.rejects(strict.loadActor('drawn', broken));
+    strict.dispose();
+  } finally {
+    removeDecoder();
+  }
+});
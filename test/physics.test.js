@@ -0,0 +1,132 @@
+// The jump and damping physics in update(): one step() is one fixed tick.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PREG } from '../LatheRenderer.js';
+import { createTestLathe } from './lib/harness.js';
+
+const close = (actual, expected, what) => assert.ok(Math.abs(actual - expected) < 1e-3, `${what}: ${actual}, expected ${expected}`);
+
+const setup = async (actor = 'dude') => {
+  const lathe = await createTestLathe();
+  const puppet = lathe.spawn(actor);
+  const reg = (r) => lathe.ram[puppet.base + r];
+  return { lathe, puppet, reg };
+};
+
+test('a jump launches at 15 px/tick, gains 0.8 px/tick of gravity and lands', async () => {
+  const { lathe, puppet, reg } = await setup();
+  puppet.jump();
+  const heights = [];
+  for (let n = 1; n <= 45; n++) { lathe.step(); heights.push(reg(PREG.PY)); }
+  // Height after n airborne ticks: -15n + 0.4n(n - 1)
+  for (let n = 1; n <= 38; n++) close(heights[n - 1], -15 * n + 0.4 * n * (n - 1), `height after ${n} ticks`);
+  const apex = Math.min(...heights);
+  close(apex, -148.2, 'apex');
+  assert.equal(heights.indexOf(apex), 18);
+  // Lands on the 39th tick, snapped to the ground and at rest
+  assert.equal(heights[38], reg(PREG.P_GND_Y));
+  assert.equal(reg(PREG.P_YVEL), 0);
+  assert.ok(heights.slice(38).every((h) => h === 0));
+  lathe.dispose();
+});
+
+test('tracking eases the heading by the actor trackDamp, body and pitch by 0.22', async () => {
+  const { lathe, puppet, reg } = await setup();
+  puppet.setPose({ yaw: 40, pitch: 0.5, tracking: true });
+  lathe.step();
+  close(reg(PREG.PH_ROT), 40 * 0.22, 'heading after one tick');
+  close(reg(PREG.PB_ROT), 40 * 0.95 * 0.22, 'body after one tick');
+  close(reg(PREG.P_PITCH), 0.5 * 0.22, 'pitch after one tick');
+  lathe.step();
+  close(reg(PREG.PH_ROT), 40 * (1 - 0.78 * 0.78), 'heading after two ticks');
+
+  // The mummy tracks faster (trackDamp 0.28)
+  const mummy = lathe.spawn('mummy');
+  mummy.setPose({ yaw: 40, tracking: true });
+  lathe.step();
+  close(lathe.ram[mummy.base + PREG.PH_ROT], 40 * 0.28, 'mummy heading after one tick');
+  lathe.dispose();
+});
+
+test('letting go on the ground relaxes the heading to face-on twice as fast', async () => {
+  const { lathe, puppet, reg } = await setup();
+  puppet.setPose({ yaw: 40, tracking: true });
+  for (let i = 0; i < 60; i++) lathe.step();
+  puppet.setPose({ tracking: false });
+  const before = reg(PREG.PH_ROT);
+  lathe.step();
+  close(reg(PREG.PH_ROT), before * 0.5, 'heading after letting go');
+  lathe.dispose();
+});
+
+test('airborne puppets keep the heading they jumped with and turn slowly', async () => {
+  const { lathe, puppet, reg } = await setup();
+  puppet.setPose({ yaw: 30, tracking: true });
+  for (let i = 0; i < 60; i++) lathe.step();
+  const launch = reg(PREG.PH_ROT);
+  puppet.setPose({ tracking: false });
+  puppet.jump();
+  close(reg(PREG.P_LATCH_ROT_AIR), launch, 'latched heading');
+  // Mid-air, released: the latched heading is the target and the damping is 0.15
+  puppet.setPose({ yaw: -30 });
+  for (let i = 0; i < 10; i++) lathe.step();
+  close(reg(PREG.PH_ROT), launch, 'heading in the air');
+  // Steering in the air uses the airborne damping too
+  puppet.setPose({ yaw: -30, tracking: true });
+  const before = reg(PREG.PH_ROT);
+  lathe.step();
+  close(reg(PREG.PH_ROT), before + (-30 - before) * 0.15, 'heading steered in the air');
+  lathe.dispose();
+});
+
+test('a different stepMs keeps the jump arc, turn rate and game speed', async () => {
+  const sample = async (stepMs, ms) => {
+    const lathe = await createTestLathe({ stepMs });
+    const puppet = lathe.spawn('dude');
+    puppet.jump();
+    puppet.setPose({ yaw: 40, tracking: true });
+    for (let t = 0; t < ms - 1e-6; t += stepMs) lathe.step();
+    const out = { height: puppet.y, yaw: lathe.ram[puppet.base + PREG.PH_ROT] };
+    lathe.dispose();
+    return out;
+  };
+  for (const ms of [83, 166, 332]) {
+    const base = await sample(16.6, ms), half = await sample(8.3, ms);
+    close(half.height, base.height, `height after ${ms}ms`);
+    close(half.yaw, base.yaw, `heading after ${ms}ms`);
+  }
+});
+
+test('jumping again in mid-air does nothing', async () => {
+  const { lathe, puppet, reg } = await setup();
+  puppet.jump();
+  puppet.jump();
+  assert.equal(reg(PREG.P_YVEL), -15);
+  for (let i = 0; i < 5; i++) lathe.step();
+  const before = puppet.snapshot();
+  puppet.jump();
+  assert.deepEqual(puppet.snapshot(), before);
+  // Once landed it jumps again
+  for (let i = 0; i < 40; i++) lathe.step();
+  puppet.jump();
+  assert.equal(reg(PREG.P_YVEL), -15);
+  lathe.dispose();
+});
+
+test('walking climbs small steps and stops at walls', async () => {
+  const { lathe, puppet, reg } = await setup();
+  // An 8px step at x 20, then a 40px wall at x 60
+  lathe.setGround((x) => (x >= 60 ? 48 : x >= 20 ? 8 : 0));
+  puppet.setPose({ yaw: 35, tracking: true });
+  for (let i = 0; i < 120; i++) lathe.step();
+  assert.ok(puppet.x > 50 && puppet.x < 60, `stopped at the wall, x ${puppet.x}`);
+  assert.equal(reg(PREG.PY), -8, 'stands on the step');
+  assert.equal(reg(PREG.P_GND_Y), -8);
+
+  // Jumping clears the wall and lands on top of it
+  puppet.jump();
+  for (let i = 0; i < 60; i++) lathe.step();
+  assert.ok(puppet.x > 60, `over the wall, x ${puppet.x}`);
+  assert.equal(reg(PREG.PY), -48);
+  lathe.dispose();
+});
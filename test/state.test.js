@@ -0,0 +1,220 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestLathe } from './lib/harness.js';
+import {
+  applyDelta, compactNumber, createLoopback, createSyncClient, createSyncHost, decodeState, diffState, encodeState, interpolateState
+} from '../LatheState.js';
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// Two puppets tracking a turn, the camera following the first one mid-jump.
+const busyScene = async () => {
+  const lathe = await createTestLathe();
+  const dude = lathe.spawn('dude', { x: 40, z: 10 });
+  const mummy = lathe.spawn('mummy', { x: -60 });
+  lathe.camera.follow(dude);
+  dude.setPose({ yaw: 38, pitch: 0.4, tracking: true });
+  for (let i = 0; i < 20; i++) lathe.tick();
+  dude.jump();
+  mummy.setPose({ yaw: -20, pitch: -0.3, tracking: true });
+  for (let i = 0; i < 7; i++) lathe.tick();
+  return { lathe, dude, mummy };
+};
+
+test('snapshot round-trips through JSON and binary into a fresh lathe', async () => {
+  const { lathe } = await busyScene();
+  const state = lathe.snapshot();
+  assert.ok(state.puppets[0].height < state.puppets[0].ground, 'dude is airborne');
+
+  for (const format of ['json', 'binary']) {
+    const copy = await createTestLathe();
+    copy.restore(decodeState(encodeState(state, { format })));
+    assert.deepEqual(copy.snapshot(), state, format);
+    // -0 and 0 simulate alike; JSON keeps only 0
+    assert.deepEqual(Array.from(copy.ram, (v) => v + 0), Array.from(lathe.ram, (v) => v + 0), `${format}: RAM`);
+    assert.deepEqual(Array.from(copy.clocks), Array.from(lathe.clocks), `${format}: clocks`);
+    assert.equal(copy.camera.target.id, 0);
+  }
+  const json = encodeState(state), binary = encodeState(state, { format: 'binary' });
+  assert.ok(binary.length < json.length / 2, `binary ${binary.length} bytes vs JSON ${json.length}`);
+  // Snapshot decimals go out as float32: header, object tag, count, key, tag and 4 bytes
+  const pose = { yaw: compactNumber(37.73595), pitch: 0.1 };
+  const packed = encodeState(pose, { format: 'binary' });
+  assert.equal(packed.length, 3 + 2 + 2 * 6);
+  assert.deepEqual(decodeState(packed), pose);
+});
+
+test('a restored scene simulates on exactly like the original', async () => {
+  const { lathe } = await busyScene();
+  const copy = await createTestLathe();
+  copy.restore(lathe.snapshot());
+  for (let i = 0; i < 40; i++) { lathe.tick(); copy.tick(); }
+  assert.deepEqual(copy.snapshot(), lathe.snapshot());
+});
+
+test('restore prunes puppets and undoes to an earlier snapshot', async () => {
+  const { lathe, dude } = await busyScene();
+  const before = lathe.snapshot();
+  lathe.spawn('mummy', { x: 200 });
+  dude.setActor('mummy');
+  for (let i = 0; i < 10; i++) lathe.tick();
+  lathe.restore(before);
+  assert.deepEqual(lathe.snapshot(), before);
+  assert.equal(lathe.getPuppets().length, 2);
+  assert.equal(lathe.ram[4], 2, 'puppet count');
+  assert.equal(lathe.getPuppets()[0], dude, 'handles survive a restore');
+});
+
+test('puppet.restore merges partial state and rejects bad state untouched', async () => {
+  const { lathe, dude } = await busyScene();
+  const before = dude.snapshot();
+  dude.restore({ x: 12, yaw: -40, anim: 'idle', params: {} });
+  const after = dude.snapshot();
+  assert.equal(after.x, 12);
+  assert.equal(after.yaw, -40);
+  assert.equal(after.anim, 'idle');
+  assert.equal(after.pitch, before.pitch);
+
+  assert.throws(() => dude.restore({ anim: 'moonwalk' }), /no animation state "moonwalk"/);
+  assert.throws(() => dude.restore({ actor: 'ghost' }), /unknown actor "ghost"/);
+  assert.throws(() => lathe.restore({ version: 1, puppets: { 0: { yaw: 5 }, 9: { x: 1 } } }), /slot 9 needs an actor/);
+  assert.deepEqual(dude.snapshot(), after, 'failed restores change nothing');
+  assert.throws(() => lathe.restore({ version: 99 }), /unsupported state version 99/);
+});
+
+test('restore checks the camera before changing the scene', async () => {
+  const { lathe } = await busyScene();
+  const before = lathe.snapshot();
+  const ram = Array.from(lathe.ram);
+  const broken = (camera) => ({ ...before, puppets: { 0: before.puppets[0] }, camera: { ...before.camera, ...camera } });
+  assert.throws(() => lathe.restore(broken({ deadzone: 48 })), /camera state field "deadzone" is invalid/);
+  assert.throws(() => lathe.restore(broken({ zoom: 0 })), /camera state field "zoom" is invalid/);
+  assert.throws(() => lathe.restore(broken({ target: 'dude' })), /camera state field "target" is invalid/);
+  assert.deepEqual(Array.from(lathe.ram), ram, 'the mummy was not pruned');
+  assert.equal(lathe.getPuppets().length, 2);
+  // A partial camera keeps the rest of the current one
+  lathe.restore({ version: 1, camera: { zoom: 3 } }, { prune: false });
+  assert.deepEqual(lathe.snapshot().camera, { ...before.camera, zoom: 3 });
+});
+
+test('the tick stays whole past Float32 precision', async () => {
+  const lathe = await createTestLathe();
+  lathe.spawn('dude');
+  const start = 2 ** 24 + 1;
+  lathe.restore({ ...lathe.snapshot(), tick: start });
+  for (let i = 0; i < 3; i++) lathe.tick();
+  assert.equal(lathe.snapshot().tick, start + 3);
+  const copy = await createTestLathe();
+  copy.restore(decodeState(encodeState(lathe.snapshot(), { format: 'binary' })));
+  assert.equal(copy.snapshot().tick, start + 3);
+  assert.throws(() => lathe.restore({ version: 1, tick: 1.5 }), /state tick is invalid/);
+});
+
+test('binary key codes stay put when puppet fields are retired', async () => {
+  // { animStep: 2, jumpStart: 3, x: 1 } as encoded while jumpStart was a field
+  const saved = Uint8Array.from([76, 84, 1, 9, 3, 45, 3, 2, 34, 3, 3, 19, 3, 1]);
+  assert.deepEqual(decodeState(saved), { animStep: 2, jumpStart: 3, x: 1 });
+  // Old states restore; the retired field is ignored
+  const lathe = await createTestLathe();
+  const dude = lathe.spawn('dude');
+  dude.restore(decodeState(saved));
+  assert.equal(dude.x, 1);
+  assert.ok(!('jumpStart' in dude.snapshot()));
+});
+
+test('diffState and applyDelta rebuild the next snapshot', async () => {
+  const { lathe, mummy } = await busyScene();
+  const a = lathe.snapshot();
+  lathe.tick();
+  mummy.despawn();
+  const b = lathe.snapshot();
+  const delta = diffState(a, b);
+  assert.deepEqual(delta.puppets.$del, ['1'], 'despawned puppet is removed');
+  assert.ok(!('actor' in delta.puppets[0]), 'unchanged fields are left out');
+  assert.deepEqual(applyDelta(a, delta), b);
+  assert.deepEqual(applyDelta(a, decodeState(encodeState(delta, { format: 'binary' }))), b);
+  assert.deepEqual(diffState(b, b), {});
+});
+
+test('an unfollow reaches the client as a null camera target', async () => {
+  const { lathe: host } = await busyScene();
+  const client = await createTestLathe();
+  const a = host.snapshot();
+  client.restore(a);
+  assert.equal(client.snapshot().camera.target, 0);
+  host.camera.unfollow();
+  const delta = decodeState(encodeState(diffState(a, host.snapshot()), { format: 'binary' }));
+  client.restore(applyDelta(a, delta));
+  assert.equal(host.snapshot().camera.target, null);
+  assert.equal(client.snapshot().camera.target, null);
+});
+
+test('interpolateState blends pose and switches discrete fields halfway', () => {
+  const puppet = (over) => ({
+    actor: 'dude', x: 0, height: 0, yaw: 0, pitch: 0, tracking: false, anim: 'idle', animFrom: 'idle', animTime: 100, segYaws: [0, 10], ...over
+  });
+  const a = { version: 1, tick: 10, camera: { x: 0, y: 0, zoom: 2, target: null, deadzone: [0, 0], smoothing: 0.1 }, puppets: { 0: puppet({}), 1: puppet({}) } };
+  const b = {
+    version: 1, tick: 12, camera: { ...a.camera, x: 20 },
+    puppets: { 0: puppet({ x: 10, height: -20, yaw: 30, tracking: true, animTime: 140, segYaws: [4, 20] }), 2: puppet({}) }
+  };
+  const q = interpolateState(a, b, 0.25);
+  assert.equal(q.tick, 10);
+  assert.equal(q.camera.x, 5);
+  assert.deepEqual([q.puppets[0].x, q.puppets[0].height, q.puppets[0].yaw, q.puppets[0].animTime], [2.5, -5, 7.5, 110]);
+  assert.deepEqual(q.puppets[0].segYaws, [1, 12.5]);
+  assert.equal(q.puppets[0].tracking, false);
+  assert.deepEqual(Object.keys(q.puppets), ['0', '1']);
+  const late = interpolateState(a, b, 0.75);
+  assert.equal(late.tick, 12);
+  assert.equal(late.puppets[0].tracking, true);
+  assert.deepEqual(Object.keys(late.puppets), ['0', '2']);
+
+  // A state change restarts the clock, so it is not blended across one
+  const run = { ...b, puppets: { 0: puppet({ anim: 'walk', animTime: 16 }) } };
+  assert.equal(interpolateState(a, run, 0.25).puppets[0].animTime, 100);
+});
+
+test('a client follows a host over a loopback with keyframes and deltas', async () => {
+  const { lathe: host, dude } = await busyScene();
+  const client = await createTestLathe();
+  const [hostEnd, clientEnd] = createLoopback();
+  const sync = createSyncHost(host, hostEnd, { keyframeEvery: 10 });
+  const follower = createSyncClient(client, { transport: clientEnd });
+  const kinds = [];
+  for (let i = 0; i < 25; i++) {
+    if (i === 12) dude.setPose({ yaw: -50, pitch: -0.6, tracking: true });
+    if (i === 15) dude.jump();
+    host.tick();
+    kinds.push(sync.publish().type);
+    await flush();
+    follower.apply();
+    assert.deepEqual(client.snapshot(), host.snapshot(), `tick ${i}`);
+  }
+  assert.deepEqual(kinds.filter((k) => k === 'key').length, 3);
+
+  // Midway between two received states the pose is blended
+  const x0 = follower.latest.puppets[0].x;
+  host.tick();
+  sync.publish();
+  await flush();
+  const x1 = follower.latest.puppets[0].x;
+  const half = follower.apply(0.5);
+  assert.equal(half.puppets[0].x, (x0 + x1) / 2);
+  assert.equal(client.getPuppets()[0].x, Math.fround((x0 + x1) / 2));
+  follower.dispose();
+});
+
+test('a client that misses a delta waits for the next keyframe', async () => {
+  const { lathe: host } = await busyScene();
+  const client = await createTestLathe();
+  const follower = createSyncClient(client);
+  const sent = [];
+  const sync = createSyncHost(host, { send: (m) => sent.push(m) }, { keyframeEvery: 5, format: 'json' });
+  for (let i = 0; i < 8; i++) { host.tick(); sync.publish(); }
+  // Drop the second message: deltas after it no longer apply
+  const applied = sent.map((m, i) => (i === 1 ? null : follower.receive(m)));
+  assert.deepEqual(applied.map(Boolean), [true, false, false, false, false, true, true, true]);
+  follower.apply();
+  assert.deepEqual(client.snapshot(), host.snapshot());
+});
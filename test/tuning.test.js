@@ -0,0 +1,52 @@
+// Live tuning: the inspector's slider list, tuneActor's validation and exportActor.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ACTORS } from '../LatheActors.js';
+import { actorTunables, getPath, setPath } from '../LatheInspector.js';
+import { createTestLathe } from './lib/harness.js';
+
+test('setPath copies only along the path and fills missing parents from defaults', () => {
+  const json = { rMult: { HEAD: 0.3, BODY: 0.3 }, sockets: { hand: { angle: 80 } } };
+  const out = setPath(json, 'headSink.idle', 2, { headSink: { idle: 0, profile: 1 } });
+  assert.deepEqual(out.headSink, { idle: 2, profile: 1 });
+  assert.equal(out.rMult, json.rMult, 'untouched branches are shared');
+  assert.equal(json.headSink, undefined, 'the input is not modified');
+  const segments = setPath({}, 'segments.1.radius', 0.5).segments;
+  assert.ok(Array.isArray(segments), 'numeric keys start arrays');
+  assert.deepEqual(segments[1], { radius: 0.5 });
+  assert.equal(getPath(out, 'sockets.hand.angle'), 80);
+  assert.equal(getPath(out, 'sockets.back.angle'), undefined);
+});
+
+test('actorTunables lists sliders that always contain the current value', () => {
+  const list = actorTunables(ACTORS.dude);
+  const byPath = Object.fromEntries(list.map((t) => [t.path, t]));
+  assert.deepEqual(byPath.neckY, { path: 'neckY', value: 34, min: 1, max: 47, step: 1 });
+  assert.equal(byPath['rMult.HEAD'].value, 0.38);
+  assert.equal(byPath['sockets.hand.angle'].value, 80);
+  assert.equal(byPath['sockets.back.out'].value, 0, 'omitted socket fields read as 0');
+  assert.deepEqual(actorTunables({ ...ACTORS.dude, bobAmplitude: -20 }).find((t) => t.path === 'bobAmplitude').min, -20);
+  // Segmented actors drop the classic rig's sliders for per-segment ones
+  const segmented = actorTunables({ ...ACTORS.dude, segments: [{ name: 'BODY', from: 0, to: 34, radius: 0.4, profile: 'cone' }] });
+  assert.ok(!segmented.some((t) => t.path.startsWith('rMult.')));
+  assert.ok(segmented.some((t) => t.path === 'segments.0.taper'));
+});
+
+test('tuneActor retunes live, rejects bad values untouched and exports the tuned JSON', async () => {
+  const lathe = await createTestLathe();
+  const before = lathe.getActor('dude');
+  lathe.tuneActor('dude', { 'rMult.HEAD': 0.5, 'headSink.idle': 2 });
+  assert.equal(lathe.getActor('dude').rMult.HEAD, 0.5);
+  assert.notEqual(lathe.getActor('dude'), before);
+  const tuned = lathe.exportActor('dude');
+  assert.equal(tuned.rMult.HEAD, 0.5);
+  assert.deepEqual(tuned.headSink, { idle: 2, profile: 5 });
+
+  const current = lathe.getActor('dude');
+  assert.throws(() => lathe.tuneActor('dude', { trackDamp: 'fast' }), /invalid actor "dude"[\s\S]*trackDamp/);
+  assert.throws(() => lathe.tuneActor('dude', { neckY: 100 }), /neckY: must lie inside the frame/);
+  assert.throws(() => lathe.tuneActor('ghost', { w: 1 }), /unknown actor "ghost"/);
+  assert.equal(lathe.getActor('dude'), current, 'failed tunes keep the last good config');
+  assert.deepEqual(lathe.exportActor('dude'), tuned);
+  lathe.dispose();
+});
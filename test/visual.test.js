@@ -0,0 +1,24 @@
+// Golden-image regression for the strip renderer: each actor over a matrix of yaw,
+// pitch, airborne and time, compared with test/golden (see lib/harness.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestLathe, renderMatrix, compareGolden } from './lib/harness.js';
+
+const MATRIX = {
+  // Facing left and right through idle, walk and run; the mummy flips when facing left
+  yaws: [-55, -30, 0, 30, 55],
+  pitches: [-0.8, 0, 0.6],
+  airborne: [false, true],
+  times: [0, 420]
+};
+
+for (const actor of ['dude', 'mummy']) {
+  test(`${actor} matches its golden renders`, async () => {
+    const lathe = await createTestLathe({ quality: { ssaa: 2 } });
+    const { failures, output } = compareGolden(actor, renderMatrix(lathe, actor, MATRIX));
+    lathe.dispose();
+    assert.deepEqual(failures, [], failures.length
+      ? `${failures.length} cell(s) differ:\n${failures.map((f) => `  ${f.name} (${(f.ratio * 100).toFixed(2)}%)`).join('\n')}\nsee ${output}`
+      : '');
+  });
+}